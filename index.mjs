@@ -3,13 +3,93 @@
  * Database's options
  * @typedef {Object} Options
  * @property {Number} [spaces=2] How many spaces to use for indentation in the output json files
- * @property {Boolean} [autoWrite=true] Sets whether to automatically write to the JSON file when a data is added or changed.
+ * @property {Boolean|{ interval?: Number, operations?: Number }} [autoWrite=true] Sets whether to automatically write to the JSON file when a data is added or changed. If an object is entered, the changes are collected in the cache and each changed file is written once per `interval` milliseconds (Default 1000) or after `operations` changes (Turns on the cache setting, ignored in journal mode)
  * @property {Boolean} [cache=false] You set whether to cache the database file (If you cache it, the performance of the module will increase, but the probability of error will also increase)
+ * @property {Boolean} [journal=false] Appends every change to a `<name>.wal` log instead of rewriting the whole JSON file, the JSON file is only rewritten at checkpoints (Turns on the cache setting)
+ * @property {Number} [journalSize=1048576] Size of the log in bytes after which a checkpoint is made automatically
+ * @property {Boolean} [lock=false] Locks the file while it is read and changed, so several processes can use the same files without overwriting each other's changes
+ * @property {Number} [lockTimeout=5000] How many milliseconds to wait for a lock held by another process before giving up
+ * @property {Boolean} [watch=false] Watches the cached files and reads them again when they are changed by another process or by hand (Turns on the cache setting)
+ * @property {Number} [watchInterval=500] How often the watched files are checked in milliseconds
+ * @property {Boolean} [flushOnExit=false] Writes the changes waiting in the cache when the process exits (Including process.exit()), gets SIGINT/SIGTERM or crashes with an uncaught exception
+ * @property {Number} [ttlInterval=1000] How often the expired keys are deleted in milliseconds
+ * @property {"file"|"memory"} [storage="file"] If it is "memory", the files are only kept in memory and nothing is written to disk (Same as using ":memory:" as the file name)
+ * @property {StorageAdapter} [adapter] Where the files are kept, files are kept on disk by default (lock and watch settings only work with files on disk)
+ * @property {{ key: String|Buffer }} [encryption] Encrypts the files with AES-256-GCM, the key is either 32 bytes long Buffer or a passphrase that a key is derived from
+ * @property {Boolean} [checksum=false] Writes a SHA-256 hash of each file next to it (`<name>.json.sha256`) and a copy of it (`<name>.json.bak`), a file that doesn't match its hash is treated as corrupted and its copy is used instead (Files changed by hand don't match their hash)
+ * @property {BackupOptions} [backup] Where the backups made by the backup method are kept, how many of them are kept and how often they are made
+ * @property {Boolean} [history=false] Appends every change with the time it was made to a `<name>.history` log, so the file can be restored to how it was at any moment with restoreTo (The log is never shortened)
+ * @property {"gzip"|"brotli"|null} [compression=null] Compresses the files with zlib, compressed files are kept as `<name>.json.gz` or `<name>.json.br` (The journal and the expiry times aren't compressed)
+ */
+
+/**
+ * Where the database files are kept, paths are the file names with their extensions (For example "database.json" or "database.wal")
+ * @typedef {Object} StorageAdapter
+ * @property {(filePath: String) => String} read - Reads the file as UTF-8 text, throws an error if it doesn't exist
+ * @property {(filePath: String, data: String|Buffer) => void} write - Replaces the content of the file, the file is created if it doesn't exist (Compressed files are given as a Buffer and their bytes must be kept as they are)
+ * @property {(filePath: String) => Boolean} exists - Checks if the file exists
+ * @property {(filePath: String) => void} remove - Deletes the file, nothing happens if it doesn't exist
+ * @property {(directory?: String) => Array<String>} list - Returns the names of the files in the directory
+ * @property {(filePath: String, data: String) => void} [append] - Adds the data to the end of the file (If it isn't given, the file is read and written again)
+ * @property {(filePath: String) => Buffer} [readBuffer] - Reads the file as bytes, it is needed to read compressed files
+ * @property {(filePath: String) => Promise<String>} [readAsync] - Promise based version of read, used by the async methods
+ * @property {(filePath: String) => Promise<Buffer>} [readBufferAsync] - Promise based version of readBuffer, used by the async methods
+ * @property {(filePath: String, data: String|Buffer) => Promise<void>} [writeAsync] - Promise based version of write, used by the async methods
+ * @property {(filePath: String, data: String) => Promise<void>} [appendAsync] - Promise based version of append, used by the async methods
+ * @property {(filePath: String) => Promise<void>} [removeAsync] - Promise based version of remove, used by the async methods
+ */
+
+/**
+ * Settings of the backups
+ * @typedef {Object} BackupOptions
+ * @property {String} [directory] Directory of the backups (Defaults to the "backups" directory next to the default file)
+ * @property {Number} [keep] How many of the latest backups are kept
+ * @property {Number} [daily] For how many days the latest backup of each day is kept
+ * @property {Number} [weekly] For how many weeks the latest backup of each week is kept
+ * @property {Number} [interval] How often the default file and the cached files are backed up in milliseconds (Backups are only made by hand if it isn't given)
+ * 
+ * If none of keep, daily and weekly is given, every backup is kept
+ */
+
+/**
+ * Backup of a file
+ * @typedef {Object} Backup
+ * @property {String} id - Id of the backup, it is the name of the file followed by the time it was made
+ * @property {String} fileName - Name of the file that was backed up
+ * @property {Date} date - When the backup was made
+ * @property {String} filePath - Path of the backup
+ */
+
+/**
+ * Describes what a change made to a file
+ * @typedef {Object} Changes
+ * @property {String} op - Name of the method that made the change
+ * @property {Array<String>} [keys] - Keys that were changed or deleted (If it is not given, the whole file has been replaced)
+ */
+
+/**
+ * Promise based versions of the database's methods
+ * @typedef {Object<String, (...args: any[]) => Promise<any>>} AsyncDatabase
+ */
+
+/**
+ * Report of the files that writeAll wrote and skipped
+ * @typedef {Object} WriteReport
+ * @property {Array<String>} written - Files that were written
+ * @property {Array<String>} skipped - Files that were skipped because they had no changes waiting to be written
  */
 
 import DatabaseError from "./src/.js/DatabaseError";
-import { invalidInput, missingInput, negativeNumber, notArray, notNumber, zeroNumber, exists } from "./src/.js/errorCodes";
-import { existsSync, writeFileSync, readFileSync, unlinkSync } from "fs";
+import Encryptor from "./src/.js/Encryptor";
+import FileSystemAdapter from "./src/.js/FileSystemAdapter";
+import MemoryAdapter from "./src/.js/MemoryAdapter";
+import QueryBuilder from "./src/.js/QueryBuilder";
+import { stringifyYaml, parseYaml, stringifyCsv, parseCsv } from "./src/.js/formats";
+import { invalidInput, duplicateValue, missingInput, notNumber, negativeNumber, corruptFile, decryptionFailed, lockTimeout, notArray, zeroNumber, invalidCommand, exists } from "./src/.js/errorCodes";
+import { createHash } from "crypto";
+import { statSync, readFileSync, renameSync, linkSync, rmSync, openSync, writeSync, closeSync, unlinkSync, promises, watchFile, unwatchFile, writeFileSync, mkdirSync } from "fs";
+import { join, dirname, basename } from "path";
+import { gzipSync, gunzipSync, brotliCompressSync, brotliDecompressSync } from "zlib";
 
 /**
  * Checks if the entered objects are the same
@@ -21,7 +101,8 @@ function sameObject(object1, object2) {
     const objectEnt1 = Object.entries(object1);
     const objectEnt2 = Object.entries(object2);
 
-    if (objectEnt1.length != objectEnt2.length) return false;
+    // Instances of different classes are never the same
+    if (objectEnt1.length != objectEnt2.length || Object.getPrototypeOf(object1) !== Object.getPrototypeOf(object2)) return false;
 
     for (const [key, value_1] of objectEnt1) {
         if (!(key in object2) || !sameValue(value_1, object2[key])) return false;
@@ -53,6 +134,21 @@ function sameValue(value1, value2) {
         case "[object Array]":
             return sameArray(value1, value2);
 
+        case "[object Date]":
+            return value1.getTime() === value2.getTime();
+
+        case "[object RegExp]":
+            return String(value1) === String(value2);
+
+        case "[object Uint8Array]":
+            return Buffer.compare(value1, value2) === 0;
+
+        case "[object Set]":
+            return value1.size === value2.size && [...value1].every(item => value2.has(item) || [...value2].some(item2 => sameValue(item, item2)));
+
+        case "[object Map]":
+            return value1.size === value2.size && [...value1].every(([key, item]) => value2.has(key) && sameValue(item, value2.get(key)));
+
         default:
             return false;
     }
@@ -74,137 +170,2478 @@ function sameArray(array1, array2) {
 
 
 /**
- * Removes the .json extension from the file name
+ * A type that is kept in the JSON files as `{ "$type": name, "value": serialized }`
+ * @typedef {Object} ValueType
+ * @property {String} name - Name of the type in the files
+ * @property {(value: any) => Boolean} test - Checks if the value is of this type
+ * @property {(value: any) => any} serialize - Turns the value into JSON compatible data
+ * @property {(data: any) => any} deserialize - Turns the data back into the value
+ * @property {Boolean} [builtIn] - Whether it is one of the types supported by default
+ */
+
+/**
+ * Types that JSON can't keep, registered types are checked before the built-in ones
+ * @type {Array<ValueType>}
+ */
+const VALUE_TYPES = [
+    { name: "Date", builtIn: true, test: value => value instanceof Date, serialize: value => value.toJSON(), deserialize: data => new Date(data ?? NaN) },
+    { name: "BigInt", builtIn: true, test: value => typeof value == "bigint", serialize: value => String(value), deserialize: data => BigInt(data) },
+    { name: "Map", builtIn: true, test: value => value instanceof Map, serialize: value => [...value], deserialize: data => new Map(data) },
+    { name: "Set", builtIn: true, test: value => value instanceof Set, serialize: value => [...value], deserialize: data => new Set(data) },
+    { name: "Buffer", builtIn: true, test: value => Buffer.isBuffer(value), serialize: value => value.toString("base64"), deserialize: data => Buffer.from(data, "base64") },
+    { name: "RegExp", builtIn: true, test: value => value instanceof RegExp, serialize: value => ({ source: value.source, flags: value.flags }), deserialize: data => new RegExp(data.source, data.flags) },
+
+    // Plain objects that have a "$type" key are kept as entries so they aren't mistaken for a typed value
+    { name: "Object", builtIn: true, test: () => false, serialize: value => Object.entries(value), deserialize: data => Object.fromEntries(data) }
+];
+
+
+/**
+ * Replacer of JSON.stringify that tags the values JSON can't keep with their type
+ * @this {any}
+ * @param {String} key - Key of the value
+ * @param {any} value - Value (After its toJSON method is called)
+ * @returns {any}
+ */
+function serializeValue(key, value) {
+    // Dates and Buffers have a toJSON method, so the original value is used
+    const original = this[key];
+    if (typeof original == "bigint") return { $type: "BigInt", value: String(original) };
+    if (typeof original != "object" || original === null || Array.isArray(original)) return value;
+
+    const prototype = Object.getPrototypeOf(original);
+    if (prototype === Object.prototype || prototype === null) return "$type" in original ? { $type: "Object", value: Object.entries(original) } : value;
+
+    const type = VALUE_TYPES.find(({ test }) => test(original));
+    return type ? { $type: type.name, value: type.serialize(original) } : value;
+}
+
+
+/**
+ * Reviver of JSON.parse that turns the tagged values back into their types, tags of unknown types are kept as they are
+ * @param {String} _key - Key of the value
+ * @param {any} value - Value
+ * @returns {any}
+ */
+function deserializeValue(_key, value) {
+    if (typeof value?.$type != "string" || Array.isArray(value) || !("value" in value) || Object.keys(value).length != 2) return value;
+
+    const type = VALUE_TYPES.find(({ name }) => name == value.$type);
+    return type ? type.deserialize(value.value) : value;
+}
+
+
+/**
+ * Turns the value into JSON, keeping the types registered in VALUE_TYPES
+ * @param {any} value - Value
+ * @param {Number} [spaces] - Spaces used for indentation
+ * @returns {String}
+ */
+function stringify(value, spaces) {
+    return JSON.stringify(value, serializeValue, spaces);
+}
+
+
+/**
+ * Parses the JSON, reviving the types registered in VALUE_TYPES
+ * @param {String} text - JSON text
+ * @returns {any}
+ */
+function parse(text) {
+    return JSON.parse(text, deserializeValue);
+}
+
+
+/**
+ * Deep copies the value, keeping the types registered in VALUE_TYPES (structuredClone turns Buffers and class instances into other types)
+ * @param {any} value - Value
+ * @returns {any}
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : parse(stringify(value));
+}
+
+
+/**
+ * Index of the fileName parameter of the methods that can be called asynchronously
+ * 
+ * Every public method is here except transaction (Its callback must be synchronous), query (The builder runs later with run()) and the listener methods
+ * 
+ * Methods that don't take a file name have -1, they run after the calls of the default file
+ * @type {Object<String, Number>}
+ */
+const ASYNC_METHODS = {
+    keys: 0, values: 0, writeAll: 0, checkpoint: 0, flush: 0, isDirty: 0, dirtyFiles: -1, close: -1,
+    set: 2, setMany: 1, setFile: 1,
+    get: 2, getMany: 2, getAll: 0, getFromValue: 2, getAllFromValue: 1, getManyFromValue: 2,
+    has: 1, hasAny: 1, hasAll: 1, hasValue: 1, hasAnyValue: 1, hasAllValue: 1,
+    expire: 2, ttl: 1, persist: 1,
+    createIndex: 1, dropIndex: 1,
+    find: 1, filter: 1, select: 1, count: 1, sum: 2, avg: 2, min: 2, max: 2, distinct: 2, groupBy: 2, includes: 1, startsWith: 1, some: 1, forEach: 1, every: 1, findAndDelete: 1, filterAndDelete: 2,
+    delete: 1, deleteMany: 1, deleteAll: 0,
+    push: 2, pushAll: 2, pop: 2, unshift: 2, unshiftAll: 2, shift: 2,
+    add: 2, substr: 3, multi: 2, division: 3,
+    toJSON: 0, toArray: 0, export: 1, import: 2, destroy: 0, reset: 0, create: 0, clone: 1, saveToDisk: 1, rekey: 1, migrateCompression: 0, backup: 0, listBackups: 0, restore: 1, restoreTo: 1, history: 1, typeof: 1
+};
+
+
+/**
+ * How many milliseconds after which a lock is considered to be left behind by a crashed process
+ * @type {Number}
+ */
+const STALE_LOCK_TIME = 10000;
+
+/**
+ * How many milliseconds to wait before trying to get a lock again
+ * @type {Number}
+ */
+const LOCK_RETRY_INTERVAL = 10;
+
+/**
+ * Locks held by this process and how many Database instances hold them
+ * 
+ * Code in the same process can't run at the same time, so the instances share the lock instead of waiting for each other
+ * @type {Map<String, Number>}
+ */
+const heldLocks = new Map();
+
+
+/**
+ * How many times a changed file that can't be parsed is read again before giving up
+ * @type {Number}
+ */
+const RELOAD_RETRIES = 5;
+
+
+/**
+ * Blocks the thread for the given time
+ * @param {Number} ms - Milliseconds
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+
+/**
+ * Checks if the lock file was left behind by a process that crashed or is stuck
+ * @param {String} lockPath - Path of the lock file
+ * @returns {String|null} - Returns the content of the lock if it is stale
+ */
+function readStaleLock(lockPath) {
+    let content, stats;
+    try {
+        stats = statSync(lockPath);
+        content = readFileSync(lockPath, "utf-8");
+    } catch {
+        // The lock was released in the meantime
+        return null;
+    }
+
+    if (Date.now() - stats.mtimeMs > STALE_LOCK_TIME) return content;
+
+    const pid = parseInt(content);
+    if (!(pid > 0)) return null;
+
+    // If the process that created the lock is no longer running, the lock is stale
+    try {
+        process.kill(pid, 0);
+        return null;
+    } catch (error) {
+        return error.code == "ESRCH" ? content : null;
+    }
+}
+
+
+/**
+ * Removes the stale lock file, unless another process has already replaced it with its own lock
+ * 
+ * The lock is renamed aside before it is checked again, so when two processes find the same stale lock only one of them can remove it
+ * @param {String} lockPath - Path of the lock file
+ * @param {String} content - Content of the lock when it was found to be stale
+ */
+function removeStaleLock(lockPath, content) {
+    const stalePath = `${lockPath}.${process.pid}-${Date.now()}.stale`;
+    try {
+        renameSync(lockPath, stalePath);
+    } catch {
+        // Another process removed it first
+        return;
+    }
+
+    try {
+        // The lock was taken by another process after it was read, so it is put back
+        if (readFileSync(stalePath, "utf-8") !== content) linkSync(stalePath, lockPath);
+    } catch { }
+    rmSync(stalePath, { force: true });
+}
+
+
+/**
+ * Tries to create the lock file once
+ * @param {String} lockPath - Path of the lock file
+ * @returns {Boolean} - Returns true if the lock was created
+ */
+function tryLock(lockPath) {
+    try {
+        const fd = openSync(lockPath, "wx");
+        try {
+            writeSync(fd, `${process.pid}\n${Date.now()}`);
+        } finally {
+            closeSync(fd);
+        }
+        return true;
+    } catch (error) {
+        if (error.code != "EEXIST") throw error;
+
+        const staleContent = readStaleLock(lockPath);
+        if (staleContent !== null) removeStaleLock(lockPath, staleContent);
+        return false;
+    }
+}
+
+
+/**
+ * Creates the journal entry of a change
+ * @param {Object<String, any>} file - File after the change
+ * @param {Changes} changes - Changes made to the file
+ * @returns {{ op: String, set: Object<String, any>, delete: Array<String> }}
+ */
+function createJournalEntry(file, { op, keys = [] }) {
+    /** @type {Object<String, any>} */
+    const set = {};
+    const deletedKeys = [];
+
+    for (const key of keys) {
+        if (key in file) set[key] = file[key];
+        else deletedKeys.push(key);
+    }
+
+    return { op, set, delete: deletedKeys };
+}
+
+
+/**
+ * Applies a journal entry to the file
+ * @param {Object<String, any>} file - File
+ * @param {{ set?: Object<String, any>, delete?: Array<String> }} entry - Journal entry
+ */
+function applyJournalEntry(file, entry) {
+    Object.assign(file, entry.set);
+    for (const key of entry.delete || []) delete file[key];
+}
+
+
+/**
+ * Finds the keys that were added, removed and changed between two versions of a file
+ * @param {Object<String, any>} oldFile - Old version of the file
+ * @param {Object<String, any>} newFile - New version of the file
+ * @returns {{ added: Array<String>, removed: Array<String>, changed: Array<String> }}
+ */
+function diffFiles(oldFile, newFile) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const key in newFile) {
+        if (!(key in oldFile)) added.push(key);
+        else if (!sameValue(oldFile[key], newFile[key])) changed.push(key);
+    }
+    for (const key in oldFile) {
+        if (!(key in newFile)) removed.push(key);
+    }
+
+    return { added, removed, changed };
+}
+
+
+/**
+ * Compression formats, their file extensions and how the files are compressed
+ * @type {Object<String, { extension: String, compress: (data: Buffer|String) => Buffer, decompress: (data: Buffer) => Buffer }>}
+ */
+const COMPRESSIONS = {
+    gzip: {
+        extension: ".json.gz",
+        compress: data => gzipSync(data),
+        decompress: data => gunzipSync(data)
+    },
+    brotli: {
+        extension: ".json.br",
+        compress: data => brotliCompressSync(data),
+        decompress: data => brotliDecompressSync(data)
+    }
+};
+
+
+/**
+ * Extensions the files of the database can have
+ */
+const DATA_EXTENSIONS = [".json", ...Object.values(COMPRESSIONS).map(({ extension }) => extension)];
+
+
+/**
+ * Returns the compression format of the file by its extension
+ * @param {String} filePath - Path of the file
+ * @returns {{ extension: String, compress: (data: Buffer|String) => Buffer, decompress: (data: Buffer) => Buffer }|null}
+ */
+function compressionOf(filePath) {
+    return Object.values(COMPRESSIONS).find(({ extension }) => filePath.endsWith(extension)) || null;
+}
+
+
+/**
+ * Returns the SHA-256 hash of the data that is written to the checksum file
+ * @param {String|Buffer} data - Content of the file
+ * @returns {String}
+ */
+function checksumOf(data) {
+    return createHash("sha256").update(data).digest("hex");
+}
+
+
+/**
+ * Turns the date into the part of the backup ids that tells when they were made, characters that can't be used in file names are replaced
+ * @param {Date} date - Date
+ * @returns {String} - For example "2026-01-31T12-30-00-000Z"
+ */
+function backupStamp(date) {
+    return date.toISOString().replace(/[:.]/g, "-");
+}
+
+
+/**
+ * Reads the date from the part of a backup id that backupStamp returned
+ * @param {String} stamp - Time the backup was made
+ * @returns {Date|null} - Returns null if it isn't a valid stamp
+ */
+function parseBackupStamp(stamp) {
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(stamp);
+    if (!match) return null;
+
+    const [, day, hours, minutes, seconds, ms] = match;
+    const date = new Date(`${day}T${hours}:${minutes}:${seconds}.${ms}Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+
+/**
+ * Returns the backups the retention settings don't keep
+ * @param {Array<Backup>} backups - Backups of a file, from the newest to the oldest
+ * @param {{ keep: Number, daily: Number, weekly: Number }} retention - Retention settings
+ * @returns {Array<Backup>}
+ */
+function expiredBackups(backups, { keep, daily, weekly }) {
+    const kept = new Set(backups.slice(0, keep));
+
+    // The newest backup of each of the latest days and weeks is kept, weeks start on Monday (1970-01-01 was a Thursday)
+    for (const [count, bucketOf] of /** @type {Array<[Number, (date: Date) => String|Number]>} */ ([
+        [daily, date => date.toISOString().slice(0, 10)],
+        [weekly, date => Math.floor((date.getTime() / 86400000 + 3) / 7)]
+    ])) {
+        const buckets = new Set();
+        for (const backup of backups) {
+            const bucket = bucketOf(backup.date);
+            if (buckets.has(bucket)) continue;
+            if (buckets.size >= count) break;
+
+            buckets.add(bucket);
+            kept.add(backup);
+        }
+    }
+
+    return backups.filter(backup => !kept.has(backup));
+}
+
+
+/**
+ * Removes the .json extension (Or .json.gz and .json.br of the compressed files) from the file name
  * @param {String} fileName - File name
- * @returns {String} - Returns the file name without the .json extension
+ * @returns {String} - Returns the file name without the extension
  */
 function removeJsonAtEnd(fileName) {
-    return fileName.endsWith(".json") ? fileName.slice(0, -5) : fileName;
+    const extension = DATA_EXTENSIONS.find(extension => fileName.endsWith(extension));
+    return extension ? fileName.slice(0, -extension.length) : fileName;
 }
 
 
-export default class Database {
+/**
+ * Keys that would reach the prototypes of the objects, they can't be used in paths
+ */
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
 
-    /**
-     * Default file name
-     * @type {String}
-     */
-    #DEFAULT_FILE_NAME;
 
-    /**
-     * Cache setting
-     * @type {Object<string, object>|null}
-     */
-    #cache;
+/**
+ * Splits a key into the keys of its path, "\\." is used for dots that are a part of the key
+ * @param {String} key - Key or path of the data (For example "users.123.coins" or "list.0")
+ * @returns {Array<String>}
+ */
+function parseKey(key) {
+    const keys = [""];
 
-    /**
-     * Spaces setting
-     * @type {number}
-     */
-    #spaces;
+    for (let i = 0; i < key.length; i++) {
+        if (key[i] == "\\" && (key[i + 1] == "." || key[i + 1] == "\\")) keys[keys.length - 1] += key[++i];
+        else if (key[i] == ".") keys.push("");
+        else keys[keys.length - 1] += key[i];
+    }
 
-    /**
-     * AutoWrite setting
-     * @type {Boolean}
-     */
-    #autoWrite;
+    const forbidden = keys.find(key => FORBIDDEN_KEYS.includes(key));
+    if (forbidden !== undefined) throw new DatabaseError(`"${forbidden}" can't be used as a key`, invalidInput);
 
-    /**
-     * Listeners
-     * @type {Map<String, Set<Function>>}
-     */
-    #listeners = new Map();
+    return keys;
+}
 
 
-    /**
-     * You only need to define it once
-     * @param {String} fileName -
-     * @param {Options} options - Database's options
-     * @example
-     * // First we define our module
-     * const AlisaDB = require("alisa.db");
-     * 
-     * // Then, if we want, we add the data we want and customize our database further.
-     * const Database = new AlisaDB();
-     * 
-     * const Database_1 = new AlisaDB("alisa.db.json");
-     * 
-     * const Database_2 = new AlisaDB("alisa.json", { cache: true, autoWrite: false, spaces: 4 });
-     */
+/**
+ * Finds the object or array that holds the data of the key
+ * @param {Object<String, any>} file - File
+ * @param {String} key - Key or path of the data
+ * @param {Boolean} [create=false] - Creates the missing objects on the path
+ * @returns {{ parent: any, last: String, rootKey: String }} - parent is undefined if the path doesn't exist and create is false
+ */
+function resolveKey(file, key, create = false) {
+    const keys = parseKey(key);
+    const last = /** @type {String} */ (keys.pop());
+    const rootKey = keys.length ? keys[0] : last;
+
+    /** @type {any} */
+    let parent = file;
+    for (let i = 0; i < keys.length; i++) {
+        // Only the own keys are followed, so the path can't reach the values the objects inherit
+        const value = Object.hasOwn(parent, keys[i]) ? parent[keys[i]] : undefined;
+
+        if (value === undefined || value === null) {
+            if (!create) return { parent: undefined, last, rootKey };
+            parent = parent[keys[i]] = {};
+        } else if (typeof value != "object") {
+            if (!create) return { parent: undefined, last, rootKey };
+            throw new DatabaseError(`"${keys.slice(0, i + 1).join(".")}" must be an Object or Array to use the "${key}" path`, invalidInput);
+        } else parent = value;
+    }
 
-    constructor(fileName = "database", options = {}) {
+    return { parent, last, rootKey };
+}
 
-        const {
-            cache = false,
-            spaces = 4,
-            autoWrite = true
-        } = options;
 
-        // If the fileName is not string or empty string, set to default "database"
-        this.#DEFAULT_FILE_NAME = typeof fileName != "string" || fileName.length == 0 ?
-            "database" :
-            removeJsonAtEnd(fileName);
+/**
+ * Returns the data of the key or path, or undefined if it doesn't exist
+ * @param {Object<String, any>} object - Object
+ * @param {String} key - Key or path of the data
+ * @returns {any}
+ */
+function getKey(object, key) {
+    const { parent, last } = resolveKey(object, key);
+    return parent !== undefined && Object.hasOwn(parent, last) ? parent[last] : undefined;
+}
 
-        if (!existsSync(`${this.#DEFAULT_FILE_NAME}.json`)) writeFileSync(`${this.#DEFAULT_FILE_NAME}.json`, "{}");
 
-        this.#autoWrite = Boolean(autoWrite);
+/**
+ * Deletes the data from the object or array that holds it, items of arrays are removed instead of leaving an empty slot
+ * @param {any} parent - Object or array that holds the data
+ * @param {String} last - Last key of the path
+ */
+function deleteKey(parent, last) {
+    if (Array.isArray(parent) && Number.isInteger(Number(last))) parent.splice(Number(last), 1);
+    else delete parent[last];
+}
+
+
+/**
+ * Operators that can be used in query objects
+ * @type {Object<String, (value: any, operand: any, isFound: Boolean) => Boolean>}
+ */
+const QUERY_OPERATORS = {
+    $eq: (value, operand) => sameValue(value, operand),
+    $ne: (value, operand) => !sameValue(value, operand),
+    $gt: (value, operand) => typeof value == typeof operand && value > operand,
+    $gte: (value, operand) => typeof value == typeof operand && value >= operand,
+    $lt: (value, operand) => typeof value == typeof operand && value < operand,
+    $lte: (value, operand) => typeof value == typeof operand && value <= operand,
+    $in(value, operand) {
+        if (!Array.isArray(operand)) throw new DatabaseError("$in value must be an Array", invalidInput);
+
+        // If the value is an Array, it is enough for one of its items to be in the operand
+        return operand.some(item => Array.isArray(value) ? value.some(valueItem => sameValue(valueItem, item)) : sameValue(value, item));
+    },
+    $nin: (value, operand) => !QUERY_OPERATORS.$in(value, operand),
+    $exists: (value, operand, isFound) => isFound == Boolean(operand),
+    $regex: (value, operand) => typeof value == "string" && new RegExp(operand).test(value),
+    $not: (value, operand, isFound) => !matchCondition(value, isFound, operand)
+};
+
+
+/**
+ * Checks if the value matches the condition, the condition is either an object of operators or a value to be compared
+ * @param {any} value - Value
+ * @param {Boolean} isFound - Whether the value exists
+ * @param {any} condition - Condition
+ * @returns {Boolean}
+ */
+function matchCondition(value, isFound, condition) {
+    if (Object.prototype.toString.call(condition) != "[object Object]" || !Object.keys(condition).some(key => key.startsWith("$"))) return sameValue(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (!(operator in QUERY_OPERATORS)) throw new DatabaseError(`"${operator}" is not a query operator`, invalidInput);
+        return QUERY_OPERATORS[operator](value, operand, isFound);
+    });
+}
+
+
+/**
+ * Checks if the entry matches the query object
+ * @param {{ key: String, value: any }} entry - Entry of the file
+ * @param {Object<String, any>} query - Query object (For example { "value.level": { $gte: 10 } })
+ * @returns {Boolean}
+ */
+function matchQuery(entry, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        switch (key) {
+            case "$and":
+            case "$or":
+                if (!Array.isArray(condition)) throw new DatabaseError(`${key} value must be an Array`, invalidInput);
+                return key == "$and" ? condition.every(query => matchQuery(entry, query)) : condition.some(query => matchQuery(entry, query));
+
+            case "$not":
+                return !matchQuery(entry, condition);
+        }
+
+        if (key.startsWith("$")) throw new DatabaseError(`"${key}" is not a query operator`, invalidInput);
+
+        const { parent, last } = resolveKey(entry, key);
+        const isFound = parent !== undefined && Object.hasOwn(parent, last);
+        return matchCondition(isFound ? parent[last] : undefined, isFound, condition);
+    });
+}
+
+
+/**
+ * Turns the value into a string that is the same for values that sameValue finds the same
+ * @param {any} value - Value
+ * @returns {String}
+ */
+function hashValue(value) {
+    return JSON.stringify(value, function (key, item) {
+        item = serializeValue.call(this, key, item);
+        return Object.prototype.toString.call(item) == "[object Object]" ?
+            Object.fromEntries(Object.entries(item).sort(([key1], [key2]) => key1 < key2 ? -1 : key1 > key2 ? 1 : 0)) :
+            item;
+    });
+}
+
+
+/**
+ * Index of a path of the entries in a file
+ * @typedef {Object} Index
+ * @property {String} path - Path of the entry that is indexed (For example "value.email")
+ * @property {Boolean} unique - Whether two entries can't have the same value
+ * @property {Object<String, any>|null} file - File the index was built for, the index is built again if the file is replaced
+ * @property {Map<String, Set<String>>} values - Keys of the entries for each hash
+ * @property {Map<String, Array<String>>} keys - Hashes of each entry, the first one is the hash of the whole value
+ */
+
+
+/**
+ * Returns the hashes the entry is indexed with, the hash of the value at the path and if it is an Array, the hashes of its items
+ * @param {String} path - Path of the entry
+ * @param {String} key - Key of the entry
+ * @param {any} value - Value of the entry
+ * @returns {Array<String>}
+ */
+function indexHashes(path, key, value) {
+    const data = getKey({ key, value }, path);
+    if (data === undefined) return [];
+
+    const hash = hashValue(data);
+    if (!Array.isArray(data)) return [hash];
+
+    return [...new Set([hash, ...data.filter(item => item !== undefined).map(hashValue)])];
+}
+
+
+/**
+ * Adds the hashes of the entry to the index
+ * @param {Index} index - Index
+ * @param {String} key - Key of the entry
+ * @param {Array<String>} hashes - Hashes of the entry
+ */
+function addToIndex(index, key, hashes) {
+    if (!hashes.length) return;
+
+    index.keys.set(key, hashes);
+    for (const hash of hashes) {
+        const keys = index.values.get(hash);
+        if (keys) keys.add(key);
+        else index.values.set(hash, new Set([key]));
+    }
+}
+
+
+/**
+ * Removes the entry from the index
+ * @param {Index} index - Index
+ * @param {String} key - Key of the entry
+ */
+function removeFromIndex(index, key) {
+    for (const hash of index.keys.get(key) || []) {
+        const keys = index.values.get(hash);
+        keys?.delete(key);
+        if (keys?.size === 0) index.values.delete(hash);
+    }
+    index.keys.delete(key);
+}
+
+
+/**
+ * Builds the index again for the file
+ * @param {Index} index - Index
+ * @param {Object<String, any>} file - File
+ * @param {Boolean} [checkUnique=false] - Throws if two entries have the same value in a unique index
+ */
+function buildIndex(index, file, checkUnique = false) {
+    /** @type {Index} */
+    const built = { ...index, file, values: new Map(), keys: new Map() };
+
+    for (const [key, value] of Object.entries(file)) {
+        const hashes = indexHashes(index.path, key, value);
+
+        if (checkUnique && index.unique && hashes.length) {
+            const other = [...built.values.get(hashes[0]) || []].find(holder => built.keys.get(holder)?.[0] === hashes[0]);
+            if (other !== undefined) throw duplicateError(index, key, other);
+        }
+
+        addToIndex(built, key, hashes);
+    }
+
+    Object.assign(index, built);
+}
+
+
+/**
+ * Creates the error thrown when a unique index gets a value that another entry already has
+ * @param {Index} index - Index
+ * @param {String} key - Key of the entry
+ * @param {String} other - Key of the entry that already has the value
+ * @returns {DatabaseError}
+ */
+function duplicateError(index, key, other) {
+    return new DatabaseError(`"${key}" can't have the same ${index.path} as "${other}" because the index is unique`, duplicateValue);
+}
+
+
+/**
+ * Compares two values to sort them, values of different types are ordered by their type names
+ * @param {any} value1 - First value
+ * @param {any} value2 - Second value
+ * @returns {Number}
+ */
+function compareValues(value1, value2) {
+    if (typeof value1 != typeof value2) return typeof value1 < typeof value2 ? -1 : 1;
+    return value1 < value2 ? -1 : value1 > value2 ? 1 : 0;
+}
+
+
+/**
+ * Turns a query object into a callback, callbacks are returned as they are
+ * @param {Function|Object<String, any>} callback - Callback or query object
+ * @returns {Function}
+ */
+function toCallback(callback) {
+    if (typeof callback == "function") return callback;
+    if (Object.prototype.toString.call(callback) != "[object Object]") throw new DatabaseError("callback value must be a function value or a query object", invalidInput);
+
+    return (/** @type {String} */ key, /** @type {any} */ value) => matchQuery({ key, value }, callback);
+}
+
+
+/**
+ * Formats that files can be exported to and imported from
+ * @type {Array<String>}
+ */
+const EXPORT_FORMATS = ["yaml", "ndjson", "csv"];
+
+
+/**
+ * Reads a CSV cell, numbers, booleans, null and JSON arrays, objects and strings are parsed and other cells are kept as strings
+ * @param {String} cell - Cell
+ * @returns {any}
+ */
+function fromCsvCell(cell) {
+    if (!/^(-?\d|true$|false$|null$|["[{])/.test(cell)) return cell;
+
+    try {
+        return JSON.parse(cell);
+    } catch {
+        return cell;
+    }
+}
+
+
+/**
+ * Writes the value into a CSV cell, strings that would be read as another type are written as JSON
+ * @param {any} value - JSON compatible value
+ * @returns {String}
+ */
+function toCsvCell(value) {
+    if (value === undefined) return "";
+    return typeof value == "string" && value !== "" && fromCsvCell(value) === value ? value : JSON.stringify(value);
+}
+
+
+/**
+ * Writes the value into columns, objects are flattened into a column for each of their paths
+ * @param {any} value - JSON compatible value
+ * @param {String} column - Path of the value (For example "value.address.city")
+ * @param {Object<String, String>} columns - Columns of the row
+ */
+function flattenCsvValue(value, column, columns) {
+    if (Object.prototype.toString.call(value) == "[object Object]" && Object.keys(value).length > 0 && !("$type" in value)) {
+        for (const [key, item] of Object.entries(value)) flattenCsvValue(item, `${column}.${key.replace(/[\\.]/g, "\\$&")}`, columns);
+    } else columns[column] = toCsvCell(value);
+}
+
+
+/**
+ * Checks the format and the delimiter of export and import
+ * @param {String} format - Format
+ * @param {String} delimiter - Delimiter of the CSV cells
+ */
+function checkFormat(format, delimiter) {
+    if (!format) throw new DatabaseError("format value is missing", missingInput);
+    if (!EXPORT_FORMATS.includes(format)) throw new DatabaseError(`format value must be one of ${EXPORT_FORMATS.join(", ")}`, invalidInput);
+
+    if (typeof delimiter != "string" || !delimiter || /["\r\n]/.test(delimiter)) throw new DatabaseError("delimiter value must be a string without quotes and line breaks", invalidInput);
+}
+
+
+export default class Database {
+
+    /**
+     * Default file name
+     * @type {String}
+     */
+    #DEFAULT_FILE_NAME;
+
+    /**
+     * Cache setting
+     * @type {Object<string, object>|null}
+     */
+    #cache;
+
+    /**
+     * Spaces setting
+     * @type {number}
+     */
+    #spaces;
+
+    /**
+     * AutoWrite setting
+     * @type {Boolean}
+     */
+    #autoWrite;
+
+    /**
+     * Batched autoWrite setting
+     * @type {{ interval: Number, operations: Number }|null}
+     */
+    #batch;
+
+    /**
+     * Number of changes made to each cached file since it was last written (Dirty files)
+     * @type {Map<String, Number>}
+     */
+    #dirty = new Map();
+
+    /**
+     * Timer of the next batched write
+     * @type {NodeJS.Timeout|null}
+     */
+    #flushTimer = null;
+
+    /**
+     * Process event handlers registered by the flushOnExit setting
+     * @type {Map<String, (...args: any[]) => void>}
+     */
+    #exitHandlers = new Map();
+
+    /**
+     * Journal setting
+     * @type {Boolean}
+     */
+    #journal;
+
+    /**
+     * Size of the log after which a checkpoint is made
+     * @type {Number}
+     */
+    #journalSize;
+
+    /**
+     * Current sizes of the journal files
+     * @type {Map<String, Number>}
+     */
+    #journalSizes = new Map();
+
+    /**
+     * Lock setting
+     * @type {Boolean}
+     */
+    #lock;
+
+    /**
+     * How many milliseconds to wait for a lock
+     * @type {Number}
+     */
+    #lockTimeout;
+
+    /**
+     * Files this instance holds the lock of
+     * @type {Set<String>}
+     */
+    #locks = new Set();
+
+    /**
+     * Signatures of the files when they were last read or written, used to find out if another process changed them
+     * @type {Map<String, String>}
+     */
+    #signatures = new Map();
+
+    /**
+     * Watch setting
+     * @type {Boolean}
+     */
+    #watch;
+
+    /**
+     * How often the watched files are checked
+     * @type {Number}
+     */
+    #watchInterval;
+
+    /**
+     * Listeners of the watched files
+     * @type {Map<String, () => void>}
+     */
+    #watchers = new Map();
+
+    /**
+     * Indexes of each file by their paths
+     * @type {Map<String, Map<String, Index>>}
+     */
+    #indexes = new Map();
+
+    /**
+     * Values of the root keys that are being changed before the change, so they can be restored if a unique index rejects the change
+     * @type {{ file: Object<String, any>, values: Map<String, { exists: Boolean, value: any }> }|null}
+     */
+    #snapshot = null;
+
+    /**
+     * Expiry times of the keys of each file and the earliest of them
+     * @type {Map<String, { keys: Object<String, Number>, next: Number }>}
+     */
+    #expiries = new Map();
+
+    /**
+     * Timer that deletes the expired keys
+     * @type {NodeJS.Timeout|null}
+     */
+    #expiryTimer = null;
+
+    /**
+     * How often the expired keys are deleted in milliseconds
+     * @type {Number}
+     */
+    #ttlInterval;
+
+    /**
+     * Where the files are kept
+     * @type {StorageAdapter}
+     */
+    #adapter;
+
+    /**
+     * Encrypts the files if the encryption setting is on
+     * @type {Encryptor|null}
+     */
+    #encryptor;
+
+    /**
+     * Directory and retention settings of the backups
+     * @type {{ directory: String, keep: Number, daily: Number, weekly: Number }}
+     */
+    #backup;
+
+    /**
+     * Timer that backs up the files if the backup interval is set
+     * @type {NodeJS.Timeout|null}
+     */
+    #backupTimer = null;
+
+    /**
+     * Whether every change is appended to the history of the file
+     * @type {Boolean}
+     */
+    #history;
+
+    /**
+     * Whether a hash and a copy of each file is written to check it for corruption
+     * @type {Boolean}
+     */
+    #checksum;
+
+    /**
+     * Compression format of the files
+     * @type {"gzip"|"brotli"|null}
+     */
+    #compression;
+
+    /**
+     * Extension of the files, it depends on the compression setting
+     * @type {String}
+     */
+    #extension;
+
+    /**
+     * Storage adapter that keeps the files on disk (Used by default)
+     */
+    static FileSystemAdapter = FileSystemAdapter;
+
+    /**
+     * Storage adapter that keeps the files in memory
+     */
+    static MemoryAdapter = MemoryAdapter;
+
+    /**
+     * Copies of the files, changes, expiry times and events of the transaction that is currently running
+     * @type {{ files: Map<String, Object<String, any>>, changes: Map<String, Changes>, expiries: Map<String, Map<String, Number|undefined>>, events: Array<[String, any]> }|null}
+     */
+    #transaction = null;
+
+    /**
+     * Last queued asynchronous call of each file
+     * @type {Map<String, Promise<any>>}
+     */
+    #queues = new Map();
+
+    /**
+     * Reads, writes and appends of the asynchronous call that is currently running, the writes and appends are made in order once the method returns
+     * @type {{ reads: Map<String, String|Buffer>, writes: Array<{ fileName: String, data: String|Buffer }|{ filePath: String, line: String }>, locks: Array<String> }|null}
+     */
+    #asyncContext = null;
+
+    /**
+     * Promise based versions of the methods
+     * @type {AsyncDatabase|undefined}
+     */
+    #async;
+
+    /**
+     * Listeners
+     * @type {Map<String, Set<Function>>}
+     */
+    #listeners = new Map();
+
+
+    /**
+     * You only need to define it once
+     * @param {String} fileName -
+     * @param {Options} options - Database's options
+     * @example
+     * // First we define our module
+     * const AlisaDB = require("alisa.db");
+     * 
+     * // Then, if we want, we add the data we want and customize our database further.
+     * const Database = new AlisaDB();
+     * 
+     * const Database_1 = new AlisaDB("alisa.db.json");
+     * 
+     * const Database_2 = new AlisaDB("alisa.json", { cache: true, autoWrite: false, spaces: 4 });
+     * 
+     * const Database_3 = new AlisaDB("alisa.json", { journal: true, journalSize: 4 * 1024 * 1024 });
+     * 
+     * const Database_4 = new AlisaDB("alisa.json", { autoWrite: { interval: 500, operations: 1000 } });
+     * 
+     * const Database_5 = new AlisaDB("alisa.json", { cache: true, autoWrite: false, flushOnExit: true });
+     * 
+     * const Database_6 = new AlisaDB("alisa.json", { cache: true, lock: true, lockTimeout: 10000 });
+     * 
+     * const Database_7 = new AlisaDB("alisa.json", { watch: true, watchInterval: 1000 });
+     * 
+     * // Nothing is written to disk
+     * const Database_8 = new AlisaDB(":memory:");
+     * 
+     * const Database_9 = new AlisaDB("alisa.json", { storage: "memory" });
+     * 
+     * const Database_10 = new AlisaDB("alisa.json", { adapter: new AlisaDB.MemoryAdapter() });
+     * 
+     * // Writes ./alisa.json.gz
+     * const Database_11 = new AlisaDB("alisa.json", { compression: "gzip" });
+     * 
+     * // A corrupted file is replaced with its last valid copy
+     * const Database_12 = new AlisaDB("alisa.json", { checksum: true });
+     * 
+     * // Backs up the files every hour, the latest backup of the last 7 days and 4 weeks is kept
+     * const Database_13 = new AlisaDB("alisa.json", { backup: { directory: "backups", daily: 7, weekly: 4, interval: 60 * 60 * 1000 } });
+     * 
+     * // Every change is kept in ./alisa.history
+     * const Database_14 = new AlisaDB("alisa.json", { history: true });
+     */
+
+    constructor(fileName = "database", options = {}) {
+
+        const {
+            cache = false,
+            spaces = 4,
+            autoWrite = true,
+            journal = false,
+            journalSize = 1024 * 1024,
+            lock = false,
+            lockTimeout = 5000,
+            watch = false,
+            watchInterval = 500,
+            flushOnExit = false,
+            ttlInterval = 1000,
+            storage = fileName === ":memory:" ? "memory" : "file",
+            adapter = storage == "memory" ? new MemoryAdapter() : new FileSystemAdapter(),
+            encryption = null,
+            compression = null,
+            checksum = false,
+            backup = null,
+            history = false
+        } = options;
+
+        if (storage != "file" && storage != "memory") throw new DatabaseError(`storage value must be "file" or "memory"`, invalidInput);
+        if (storage == "memory" && !(adapter instanceof MemoryAdapter)) throw new DatabaseError("adapter value can't be used with the memory storage", invalidInput);
+
+        if (["read", "write", "exists", "remove", "list"].some(method => typeof adapter?.[method] != "function")) {
+            throw new DatabaseError("adapter value must have read, write, exists, remove and list methods", invalidInput);
+        }
+
+        // Locks and watchers use the files on disk, so they can't be used with other adapters
+        if ((lock || watch) && !(adapter instanceof FileSystemAdapter)) {
+            throw new DatabaseError("lock and watch settings can only be used with the file system adapter", invalidInput);
+        }
+        this.#adapter = adapter;
+
+        if (encryption !== null && typeof encryption != "object") throw new DatabaseError("encryption value must be an object", invalidInput);
+        if (encryption && !encryption.key) throw new DatabaseError("encryption key is missing", missingInput);
+        this.#encryptor = encryption ? new Encryptor(encryption.key) : null;
+
+        if (compression !== null && !Object.hasOwn(COMPRESSIONS, compression)) throw new DatabaseError(`compression value must be "gzip", "brotli" or null`, invalidInput);
+        if (compression && typeof adapter.readBuffer != "function") throw new DatabaseError("adapter value must have a readBuffer method to use compression", invalidInput);
+        this.#compression = compression;
+        this.#extension = compression ? COMPRESSIONS[compression].extension : ".json";
+        this.#checksum = Boolean(checksum);
+        this.#history = Boolean(history);
+
+        // The spaces must be set before the first read, a corrupted file is written again with them while it is recovered
+        this.#spaces = Number(spaces);
+
+        if (isNaN(this.#spaces)) this.#spaces = 4;
+        if (this.#spaces < 0) this.#spaces = 0;
+
+        // If the fileName is not string, empty string or ":memory:", set to default "database"
+        this.#DEFAULT_FILE_NAME = typeof fileName != "string" || fileName.length == 0 || fileName === ":memory:" ?
+            "database" :
+            removeJsonAtEnd(fileName);
+
+        if (!this._findDataPath(this.#DEFAULT_FILE_NAME)) {
+            const dataPath = this._dataPath(this.#DEFAULT_FILE_NAME);
+            adapter.write(dataPath, this._encode("{}", dataPath));
+        }
+
+        if (backup !== null && typeof backup != "object") throw new DatabaseError("backup value must be an object", invalidInput);
+        const { directory = join(dirname(this.#DEFAULT_FILE_NAME), "backups"), keep, daily, weekly, interval = 0 } = backup || {};
+        if (typeof directory != "string" || directory.length == 0) throw new DatabaseError("backup directory must be a string", invalidInput);
+
+        for (const [setting, value] of Object.entries({ keep, daily, weekly, interval })) {
+            if (value === undefined) continue;
+            if (typeof value != "number" || isNaN(value)) throw new DatabaseError(`backup ${setting} must be a number`, notNumber);
+            if (value < 0) throw new DatabaseError(`backup ${setting} can't be negative`, negativeNumber);
+        }
+
+        // If no retention setting is given every backup is kept, otherwise only the ones the given settings keep
+        const keepAll = keep === undefined && daily === undefined && weekly === undefined;
+        this.#backup = { directory, keep: keepAll ? Infinity : keep ?? 0, daily: daily ?? 0, weekly: weekly ?? 0 };
+
+        this.#autoWrite = Boolean(autoWrite);
+
+        this.#lock = Boolean(lock);
+        this.#lockTimeout = Number(lockTimeout);
+        if (isNaN(this.#lockTimeout) || this.#lockTimeout < 0) this.#lockTimeout = 5000;
+
+        this.#watch = Boolean(watch);
+        this.#watchInterval = Number(watchInterval);
+        if (isNaN(this.#watchInterval) || this.#watchInterval <= 0) this.#watchInterval = 500;
+
+        this.#ttlInterval = Number(ttlInterval);
+        if (isNaN(this.#ttlInterval) || this.#ttlInterval <= 0) this.#ttlInterval = 1000;
+
+        // The journal only holds the changes, so the latest state of the files must be kept in the cache
+        this.#journal = Boolean(journal);
+        this.#journalSize = Number(journalSize);
+        if (isNaN(this.#journalSize) || this.#journalSize <= 0) this.#journalSize = 1024 * 1024;
+
+        // Batched writes also keep the latest state of the files in the cache until they are written
+        if (autoWrite !== null && typeof autoWrite == "object" && !this.#journal) {
+            const interval = Number(autoWrite.interval ?? 1000);
+            const operations = Number(autoWrite.operations ?? Infinity);
+
+            this.#batch = {
+                interval: isNaN(interval) || interval < 0 ? 1000 : interval,
+                operations: isNaN(operations) || operations < 1 ? Infinity : operations
+            };
+        } else this.#batch = null;
+
+        // Save in cache (This caching can also be used for multiple files)
+        this.#cache = cache || this.#journal || this.#batch || this.#watch ? { [this.#DEFAULT_FILE_NAME]: this._readFile(this.#DEFAULT_FILE_NAME) } : null;
+        if (this.#cache) this._startHistory(this.#DEFAULT_FILE_NAME, this.#cache[this.#DEFAULT_FILE_NAME]);
+        this._watchFile(this.#DEFAULT_FILE_NAME);
+
+        // If both autoWrite and cache features are turned off, it will give an error because no matter how much data is written, there will be no change in the database
+        if (this.#autoWrite === false && this.#cache === undefined) throw new DatabaseError("AutoWrite and cache cannot be turned off at the same time!");
+
+        if (flushOnExit) {
+            let hasShutDown = false;
+
+            // beforeExit isn't emitted when process.exit() is called, so exit is listened to as well
+            for (const event of ["beforeExit", "exit", "SIGINT", "SIGTERM", "uncaughtExceptionMonitor"]) {
+                /** @param {any} error */
+                const handler = (error) => {
+                    const files = this.dirtyFiles();
+
+                    // exit also follows beforeExit, it is only reported again if there are new changes
+                    if (event == "exit" && hasShutDown && !files.length) return;
+                    hasShutDown = true;
+
+                    this.flush();
+                    this.emit("shutdown", { fileName: this.#DEFAULT_FILE_NAME, reason: event, files, error: event == "uncaughtExceptionMonitor" ? error : undefined });
+
+                    // Listening to a signal stops Node.js from exiting, so if nobody else is listening, the signal is sent again after the handlers are removed
+                    if (event.startsWith("SIG")) {
+                        this._removeExitHandlers();
+                        if (process.listenerCount(event) === 0) process.kill(process.pid, event);
+                    }
+                };
+
+                process.on(event, handler);
+                this.#exitHandlers.set(event, handler);
+            }
+        }
+
+        if (interval > 0) {
+            this.#backupTimer = setInterval(() => {
+                for (const name of new Set([this.#DEFAULT_FILE_NAME, ...Object.keys(this.#cache || {})])) {
+                    try {
+                        this.backup(name);
+                    } catch (error) {
+                        this.emit("backupError", { fileName: name, error });
+                    }
+                }
+            }, interval);
+            this.#backupTimer.unref();
+        }
+    }
+
+
+
+    // #region Private
+
+    /**
+     * @param {String} fileName - File name
+     * @private
+     */
+    _getFile(fileName) {
+        fileName = removeJsonAtEnd(fileName);
+
+        // Expired keys are deleted before the file is used
+        this._purgeExpired(fileName);
+
+        // The lock is held until the change is written or the current operation is over
+        if (this.#lock && this._lockFile(fileName)) {
+            if (this.#asyncContext) this.#asyncContext.locks.push(fileName);
+            else queueMicrotask(() => this._unlockFile(fileName));
+        }
+
+        // Changes made in a transaction are made on a copy of the file until the transaction is committed
+        const transaction = this.#transaction;
+        if (transaction) {
+            let file = transaction.files.get(fileName);
+            if (!file) {
+                file = cloneValue(this._loadFile(fileName));
+                transaction.files.set(fileName, file);
+            }
+            return file;
+        }
+
+        return this._loadFile(fileName);
+    }
+
+
+    /**
+     * Returns the file from the cache, or reads it if it isn't cached
+     * @param {String} fileName - File name
+     * @returns {Object<String, any>}
+     * @private
+     */
+    _loadFile(fileName) {
+        if (this.#cache !== null) {
+            // If the file is already in cache, return it
+            const cache = this.#cache[fileName];
+            if (cache) {
+                this.emit("getFile", { fileName, file: cache, fromCache: true, saveCache: false, fromFile: false });
+                return cache;
+            }
+
+            // If the file is not in cache, read it from the file system and add it to the cache and return it
+            this.#cache[fileName] = this._readFile(fileName);
+            this._startHistory(fileName, this.#cache[fileName]);
+            this._watchFile(fileName);
+            this.emit("getFile", { fileName, file: this.#cache[fileName], fromCache: false, saveCache: true, fromFile: false });
+            return this.#cache[fileName];
+        }
+
+        const data = this._readFile(fileName);
+        this._startHistory(fileName, data);
+        this.emit("getFile", { fileName, data, fromCache: false, saveCache: false, fromFile: true });
+        return data;
+    }
+
+
+    /**
+     * Writes the file as it is to the history if the file has no history yet, so the changes made after it can be undone
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File that was read
+     * @private
+     */
+    _startHistory(fileName, file) {
+        if (this.#history && !this.#adapter.exists(`${fileName}.history`)) this._recordHistory(fileName, file, { op: "baseline" });
+    }
+
+
+    /**
+     * Finds the data of the key that is about to be changed, creating the missing objects on its path
+     * 
+     * If the file has a unique index, the value before the change is kept so it can be restored if the index rejects the change
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {String} key - Key or path of the data
+     * @returns {{ parent: any, last: String, rootKey: String }}
+     * @private
+     */
+    _resolveChange(fileName, file, key) {
+        const indexes = this.#indexes.get(removeJsonAtEnd(fileName));
+
+        if (indexes && [...indexes.values()].some(index => index.unique)) {
+            const rootKey = parseKey(key)[0];
+            if (this.#snapshot?.file !== file) this.#snapshot = { file, values: new Map() };
+            if (!this.#snapshot.values.has(rootKey)) this.#snapshot.values.set(rootKey, { exists: Object.hasOwn(file, rootKey), value: cloneValue(file[rootKey]) });
+        }
+
+        return resolveKey(file, key, true);
+    }
+
+
+    /**
+     * Updates the indexes of the file after a change, throws without changing any index if a unique index gets a duplicate value
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {Changes} [changes] - Changes made to the file
+     * @private
+     */
+    _updateIndexes(fileName, file, changes) {
+        this._checkIndexes(fileName, file, changes).forEach(update => update());
+    }
+
+
+    /**
+     * Checks the change against the unique indexes of the file without changing any index
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {Changes} [changes] - Changes made to the file
+     * @returns {Array<() => void>} - Returns the functions that update the indexes
+     * @private
+     */
+    _checkIndexes(fileName, file, changes) {
+        const indexes = this.#indexes.get(fileName);
+        if (!indexes) return [];
+
+        /** @type {Array<() => void>} */
+        const updates = [];
+
+        for (const index of indexes.values()) {
+            // If the index isn't for the previous version of the file, it is built again
+            if (!changes?.keys || (index.file !== file && index.file !== this.#cache?.[fileName])) {
+                /** @type {Index} */
+                const built = { ...index };
+                buildIndex(built, file, true);
+                updates.push(() => Object.assign(index, built));
+                continue;
+            }
+
+            const changed = new Map(changes.keys.map(key => [key, key in file ? indexHashes(index.path, key, file[key]) : []]));
+
+            if (index.unique) {
+                /** @type {Map<String, String>} */
+                const seen = new Map();
+
+                for (const [key, hashes] of changed) {
+                    if (!hashes.length) continue;
+
+                    const other = seen.get(hashes[0]) ?? [...index.values.get(hashes[0]) || []].find(holder => !changed.has(holder) && index.keys.get(holder)?.[0] === hashes[0]);
+                    if (other !== undefined) throw duplicateError(index, key, other);
+                    seen.set(hashes[0], key);
+                }
+            }
+
+            updates.push(() => {
+                for (const [key, hashes] of changed) {
+                    removeFromIndex(index, key);
+                    addToIndex(index, key, hashes);
+                }
+                index.file = file;
+            });
+        }
+
+        return updates;
+    }
+
+
+    /**
+     * Returns the keys that may match the query by looking up an indexed path, or undefined if no index can be used
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {any} query - Callback, query object or an Array of them
+     * @returns {Array<String>|undefined}
+     * @private
+     */
+    _indexedKeys(fileName, file, query) {
+        const indexes = this.#indexes.get(removeJsonAtEnd(fileName));
+        if (!indexes) return undefined;
+
+        for (const item of Array.isArray(query) ? query : [query]) {
+            if (Object.prototype.toString.call(item) != "[object Object]") continue;
+
+            for (const [path, condition] of Object.entries(item)) {
+                if (path == "$and" && Array.isArray(condition)) {
+                    const keys = this._indexedKeys(fileName, file, condition);
+                    if (keys) return keys;
+                    continue;
+                }
+
+                const index = indexes.get(path);
+                if (!index) continue;
+
+                // Only equality and $in can be looked up in the index
+                let values;
+                if (Object.prototype.toString.call(condition) != "[object Object]" || !Object.keys(condition).some(key => key.startsWith("$"))) values = [condition];
+                else if ("$eq" in condition) values = [condition.$eq];
+                else if (Array.isArray(condition.$in)) values = condition.$in;
+                else continue;
+
+                if (values.includes(undefined)) continue;
+                if (index.file !== file) buildIndex(index, file);
+
+                /** @type {Set<String>} */
+                const keys = new Set();
+                for (const value of values) {
+                    for (const key of index.values.get(hashValue(value)) || []) keys.add(key);
+                }
+                return [...keys];
+            }
+        }
+
+        return undefined;
+    }
+
+
+    /**
+     * Returns the keys whose values are the same as the value, the index of the "value" path is used if the file has one
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {any} value - Value
+     * @param {Boolean} [all=true] - Whether to return all of the keys or only the first one
+     * @returns {Array<String>}
+     * @private
+     */
+    _keysOfValue(fileName, file, value, all = true) {
+        const index = this.#indexes.get(removeJsonAtEnd(fileName))?.get("value");
+
+        if (index) {
+            if (index.file !== file) buildIndex(index, file);
+
+            // Arrays are also indexed by their items, so only the keys indexed by their whole value are returned
+            const hash = hashValue(value);
+            const keys = [...index.values.get(hash) || []].filter(key => index.keys.get(key)?.[0] === hash && sameValue(value, file[key]));
+            return all ? keys : keys.slice(0, 1);
+        }
+
+        if (!all) {
+            const entry = Object.entries(file).find(([_, value_1]) => sameValue(value, value_1));
+            return entry ? [entry[0]] : [];
+        }
+
+        return Object.entries(file).filter(([_, value_1]) => sameValue(value, value_1)).map(([key]) => key);
+    }
+
+
+    /**
+     * Returns the entries of the file to check with the query, only the entries found in the index if the query looks up an indexed path
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {any} query - Callback, query object or an Array of them
+     * @returns {Array<[String, any]>}
+     * @private
+     */
+    _queryEntries(fileName, file, query) {
+        const keys = this._indexedKeys(fileName, file, query);
+        return keys ? keys.filter(key => key in file).map(key => [key, file[key]]) : Object.entries(file);
+    }
+
+
+    /**
+     * Returns the expiry times of the keys of the file, reading them from the `<name>.ttl.json` file the first time
+     * @param {String} fileName - File name
+     * @returns {{ keys: Object<String, Number>, next: Number }}
+     * @private
+     */
+    _getExpiries(fileName) {
+        let expiries = this.#expiries.get(fileName);
+
+        if (!expiries) {
+            const ttlPath = `${fileName}.ttl.json`;
+            const keys = this.#adapter.exists(ttlPath) ? JSON.parse(this._decode(this.#adapter.read(ttlPath), ttlPath)) : {};
+
+            expiries = { keys, next: Object.values(keys).reduce((next, time) => Math.min(next, time), Infinity) };
+            this.#expiries.set(fileName, expiries);
+            this._startSweeper();
+        }
+
+        return expiries;
+    }
+
+
+    /**
+     * Writes the expiry times of the file to the `<name>.ttl.json` file, the file is deleted if no key expires
+     * @param {String} fileName - File name
+     * @private
+     */
+    _writeExpiries(fileName) {
+        const expiries = this._getExpiries(fileName);
+        const ttlPath = `${fileName}.ttl.json`;
+
+        expiries.next = Object.values(expiries.keys).reduce((next, time) => Math.min(next, time), Infinity);
+
+        if (expiries.next === Infinity) {
+            this.#adapter.remove(ttlPath);
+        } else {
+            this.#adapter.write(ttlPath, this._encode(JSON.stringify(expiries.keys), ttlPath));
+            this._startSweeper();
+        }
+    }
+
+
+    /**
+     * Sets or removes the expiry time of the key
+     * @param {String} fileName - File name
+     * @param {String} key - Key or path of the data
+     * @param {Number|undefined} expiresAt - Time the key expires at, the expiry time is removed if it is undefined
+     * @private
+     */
+    _setExpiry(fileName, key, expiresAt) {
+        fileName = removeJsonAtEnd(fileName);
+
+        // Inside a transaction the change is kept until it is committed
+        const transaction = this.#transaction;
+        if (transaction) {
+            if (!transaction.expiries.has(fileName)) transaction.expiries.set(fileName, new Map());
+            transaction.expiries.get(fileName).set(key, expiresAt);
+            return;
+        }
+
+        const expiries = this._getExpiries(fileName);
+
+        if (expiresAt === undefined) {
+            if (!(key in expiries.keys)) return;
+            delete expiries.keys[key];
+        } else expiries.keys[key] = expiresAt;
+
+        this._writeExpiries(fileName);
+    }
+
+
+    /**
+     * Returns the time the key expires at, including the changes made in the current transaction
+     * @param {String} fileName - File name
+     * @param {String} key - Key or path of the data
+     * @returns {Number|undefined}
+     * @private
+     */
+    _getExpiry(fileName, key) {
+        fileName = removeJsonAtEnd(fileName);
+
+        const pending = this.#transaction?.expiries.get(fileName);
+        if (pending?.has(key)) return pending.get(key);
+
+        return this._getExpiries(fileName).keys[key];
+    }
+
+
+    /**
+     * Applies the expiry times that were changed inside a committed transaction, the keys that no longer exist are skipped
+     * @param {{ files: Map<String, Object<String, any>>, expiries: Map<String, Map<String, Number|undefined>> }} transaction - Committed transaction
+     * @private
+     */
+    _commitExpiries(transaction) {
+        for (const [fileName, pending] of transaction.expiries) {
+            const file = transaction.files.get(fileName) || {};
+            const expiries = this._getExpiries(fileName);
+
+            for (const [key, expiresAt] of pending) {
+                const { parent, last } = resolveKey(file, key);
+                if (expiresAt === undefined || parent === undefined || !Object.hasOwn(parent, last)) delete expiries.keys[key];
+                else expiries.keys[key] = expiresAt;
+            }
+
+            this._writeExpiries(fileName);
+        }
+    }
+
+
+    /**
+     * Deletes the expired keys of the file and emits an expire event for each of them
+     * @param {String} fileName - File name
+     * @private
+     */
+    _purgeExpired(fileName) {
+        const expiries = this._getExpiries(fileName);
+        const now = Date.now();
+        if (expiries.next > now) return;
+
+        // The expired keys are deleted from the file itself even inside a transaction
+        const transaction = this.#transaction;
+        const locked = this.#lock && !this.#asyncContext && this._lockFile(fileName);
+        this.#transaction = null;
+
+        try {
+            const file = this._loadFile(fileName);
+            const rootKeys = [];
+
+            // The copy of the transaction would write the expired keys back when it is committed, unless the transaction gave them a new expiry time
+            const copy = transaction?.files.get(fileName);
+            const pending = transaction?.expiries.get(fileName);
+            const copyKeys = [];
+
+            for (const [key, time] of Object.entries(expiries.keys)) {
+                if (time > now) continue;
+                delete expiries.keys[key];
+
+                if (copy && !pending?.has(key)) {
+                    const { parent, last, rootKey } = resolveKey(copy, key);
+                    if (parent !== undefined && Object.hasOwn(parent, last)) {
+                        deleteKey(parent, last);
+                        copyKeys.push(rootKey);
+                    }
+                }
+
+                const { parent, last, rootKey } = resolveKey(file, key);
+                if (parent === undefined || !Object.hasOwn(parent, last)) continue;
+
+                const value = parent[last];
+                deleteKey(parent, last);
+                rootKeys.push(rootKey);
+                this.emit("expire", { fileName, file, key, rootKey, value });
+            }
+
+            this._writeExpiries(fileName);
+            if (rootKeys.length) this._writeAndCache(fileName, file, { op: "expire", keys: [...new Set(rootKeys)] });
+
+            const previous = transaction?.changes.get(fileName);
+            if (copyKeys.length && previous?.keys) previous.keys = [...new Set([...previous.keys, ...copyKeys])];
+        } finally {
+            this.#transaction = transaction;
+            if (locked) this._unlockFile(fileName);
+        }
+    }
+
+
+    /**
+     * Removes the expiry times of the keys that were deleted by the change
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File
+     * @param {Changes} [changes] - Changes made to the file
+     * @private
+     */
+    _dropDeletedExpiries(fileName, file, changes) {
+        const expiries = this.#expiries.get(fileName);
+        if (!expiries || expiries.next === Infinity) return;
+
+        let isChanged = false;
+        for (const key of Object.keys(expiries.keys)) {
+            if (changes?.keys && !changes.keys.includes(parseKey(key)[0])) continue;
+
+            const { parent, last } = resolveKey(file, key);
+            if (parent === undefined || !Object.hasOwn(parent, last)) {
+                delete expiries.keys[key];
+                isChanged = true;
+            }
+        }
+
+        if (isChanged) this._writeExpiries(fileName);
+    }
+
+
+    /**
+     * Starts the timer that deletes the expired keys of all files, if it isn't already running
+     * @private
+     */
+    _startSweeper() {
+        if (this.#expiryTimer || ![...this.#expiries.values()].some(({ next }) => next !== Infinity)) return;
+
+        this.#expiryTimer = setInterval(() => {
+            const now = Date.now();
+            let hasExpiries = false;
+
+            for (const [fileName, { next }] of this.#expiries) {
+                if (next === Infinity) continue;
+                hasExpiries = true;
+                if (next > now) continue;
+
+                try {
+                    this._purgeExpired(fileName);
+                } catch (error) {
+                    this.emit("expireError", { fileName, error });
+                }
+            }
+
+            // The timer is stopped until a key gets an expiry time again
+            if (!hasExpiries && this.#expiryTimer) {
+                clearInterval(this.#expiryTimer);
+                this.#expiryTimer = null;
+            }
+        }, this.#ttlInterval);
+        this.#expiryTimer.unref();
+    }
+
+
+    /**
+     * @param {String} fileName - File name
+     * @param {Object} file - File
+     * @param {Changes} [changes] - Changes made to the file
+     * @private
+     */
+    _writeAndCache(fileName, file, changes) {
+        fileName = removeJsonAtEnd(fileName);
+
+        // Files changed in a transaction are written once when it is committed
+        const transaction = this.#transaction;
+        if (transaction) {
+            const previous = transaction.changes.get(fileName);
+            transaction.files.set(fileName, file);
+            transaction.changes.set(fileName, !changes?.keys || (previous && !previous.keys) ?
+                { op: "transaction" } :
+                { op: "transaction", keys: [...new Set([...(previous?.keys || []), ...changes.keys])] });
+            this.#snapshot = null;
+
+            // The indexes no longer match the copy, so they are built again the next time they are used
+            for (const index of this.#indexes.get(fileName)?.values() || []) {
+                if (index.file === file) index.file = null;
+            }
+            return;
+        }
+
+        // If a unique index rejects the change, every changed key is put back to its value before the change
+        // setMany and setFile build a new object instead, so the cached file is left as it was
+        const snapshot = this.#snapshot;
+        this.#snapshot = null;
+        try {
+            this._updateIndexes(fileName, file, changes);
+        } catch (error) {
+            if (snapshot?.file === file) {
+                for (const [rootKey, { exists, value }] of snapshot.values) {
+                    if (exists) file[rootKey] = value;
+                    else delete file[rootKey];
+                }
+            }
+            throw error;
+        }
+        this._dropDeletedExpiries(fileName, file, changes);
+
+        if (this.#autoWrite && !this.#batch) {
+            // In journal mode only the changed keys are appended to the log, if the whole file has been replaced it is written directly
+            const isAppended = this.#journal && changes?.keys;
+            try {
+                if (isAppended) this._appendJournal(fileName, createJournalEntry(file, changes));
+                else this._writeFile(fileName, file);
+            } catch (error) {
+                // The methods change the cached file before it is written, so it is dropped and read again from the file and its journal without the change
+                if (this.#cache?.[fileName] === file) delete this.#cache[fileName];
+                throw error;
+            }
+            if (!isAppended) this.emit("writeFile", { fileName, file });
+        } else if (this.#cache) {
+            // The change only exists in the cache until the file is written
+            this.#dirty.set(fileName, (this.#dirty.get(fileName) || 0) + 1);
+        }
+        this._recordHistory(fileName, file, changes);
+        if (this.#cache) {
+            this.#cache[fileName] = file;
+            this._watchFile(fileName);
+            this.emit("writeCache", { fileName, file });
+        }
+
+        if (this.#journal && (this.#journalSizes.get(fileName) || 0) >= this.#journalSize) this.checkpoint(fileName);
+
+        if (this.#batch && this.#dirty.has(fileName)) {
+            if (Number(this.#dirty.get(fileName)) >= this.#batch.operations) this.flush(fileName);
+            else this.#flushTimer ??= setTimeout(() => {
+                this.#flushTimer = null;
+                this.flush();
+            }, this.#batch.interval);
+        }
+
+        // Asynchronous calls release their locks after their writes are done
+        if (this.#lock && !this.#asyncContext) this._unlockFile(fileName);
+    }
+
+
+    /**
+     * Reads and parses the file, then replays its journal if there is one
+     * @param {String} fileName - File name
+     * @param {Boolean} [recover=true] - Whether a corrupted file is replaced with its backup, otherwise the error is thrown
+     * @returns {Object<String, any>}
+     * @private
+     */
+    _readFile(fileName, recover = true) {
+        // Files written with another compression setting are read too, they are converted the next time they are written
+        const dataPath = this._findDataPath(fileName) ?? this._dataPath(fileName);
+        const data = this._readData(dataPath);
+
+        let file;
+        try {
+            file = this._parseData(data, dataPath, true);
+        } catch (error) {
+            if (!recover || !(error instanceof DatabaseError && error.code == corruptFile)) throw error;
+            file = this._recoverFile(fileName, dataPath, error);
+        }
+        this._updateSignature(fileName);
+        if (!this.#journal) return file;
+
+        const journalPath = `${fileName}.wal`;
+        if (!this.#adapter.exists(journalPath)) {
+            this.#journalSizes.set(fileName, 0);
+            return file;
+        }
+
+        let content = String(this._readData(journalPath));
+
+        // The last line is cut off if the process crashed while appending it, that change was never acknowledged so it is dropped
+        if (!content.endsWith("\n")) {
+            content = content.slice(0, content.lastIndexOf("\n") + 1);
+            this.#adapter.write(journalPath, content);
+        }
+
+        let entries = 0;
+        for (const line of content.split("\n")) {
+            if (!line) continue;
+
+            let entry;
+            try {
+                entry = parse(this._decode(line, journalPath));
+            } catch (error) {
+                if (error instanceof SyntaxError) throw new DatabaseError(`${journalPath} is corrupted (${error.message})`, corruptFile);
+                throw error;
+            }
+
+            applyJournalEntry(file, entry);
+            entries += 1;
+        }
+
+        this.#journalSizes.set(fileName, Buffer.byteLength(content));
+        this._updateSignature(fileName);
+        if (entries > 0) this.emit("replay", { fileName, file, entries });
+        return file;
+    }
+
+
+    /**
+     * Decodes and parses the content of the file, a file that can't be parsed or doesn't match its checksum throws a corruptFile error
+     * @param {String|Buffer} data - Content of the file
+     * @param {String} dataPath - Path of the file
+     * @param {Boolean} verify - Whether the data is compared with the checksum file
+     * @returns {Object<String, any>}
+     * @private
+     */
+    _parseData(data, dataPath, verify) {
+        const checksumPath = `${dataPath}.sha256`;
+        if (verify && this.#checksum && this.#adapter.exists(checksumPath) && this.#adapter.read(checksumPath).trim() != checksumOf(data)) {
+            throw new DatabaseError(`${dataPath} doesn't match its checksum`, corruptFile);
+        }
+
+        const text = this._decode(data, dataPath);
+        try {
+            return parse(text);
+        } catch (error) {
+            if (error instanceof SyntaxError) throw new DatabaseError(`${dataPath} is corrupted (${error.message})`, corruptFile);
+            throw error;
+        }
+    }
+
+
+    /**
+     * Emits the "corrupt" event and replaces the corrupted file with its latest valid backup, the error is thrown if there is no valid backup
+     * 
+     * The copy written by the checksum setting is tried first, then the backups in the backup directory from the newest to the oldest
+     * @param {String} fileName - File name
+     * @param {String} dataPath - Path of the corrupted file
+     * @param {DatabaseError} error - Why the file is corrupted
+     * @returns {Object<String, any>}
+     * @private
+     */
+    _recoverFile(fileName, dataPath, error) {
+        const candidates = [
+            /** @type {[String, String]} */ ([`${dataPath}.bak`, dataPath]),
+            ...this.listBackups(fileName).map(({ filePath }) => /** @type {[String, String]} */ ([filePath, filePath]))
+        ];
+
+        let file = null;
+        let backup = null;
+        for (const [backupPath, formatPath] of candidates) {
+            if (!this.#adapter.exists(backupPath)) continue;
+
+            try {
+                file = this._parseData(this._readData(backupPath, formatPath), formatPath, false);
+                backup = backupPath;
+                break;
+            } catch { }
+        }
+
+        const payload = { fileName, filePath: dataPath, error, backup };
+
+        // Listeners can't be added before the constructor returns, so the event is emitted right after it
+        if (this.#cache === undefined) queueMicrotask(() => this.emit("corrupt", payload));
+        else this.emit("corrupt", payload);
+
+        if (!file) throw new DatabaseError(`${dataPath} is corrupted and it has no valid backup (${error.message})`, corruptFile);
+
+        // The backup is written over the corrupted file, so it isn't reported again the next time it is read
+        const data = this._encode(stringify(file, this.#spaces), dataPath);
+        this.#adapter.write(dataPath, data);
+        if (this.#checksum) this.#adapter.write(`${dataPath}.sha256`, checksumOf(data));
+        return file;
+    }
+
+
+    /**
+     * Serializes the file and writes it to disk atomically
+     * @param {String} fileName - File name
+     * @param {Object} file - File
+     * @private
+     */
+    _writeFile(fileName, file) {
+        const data = this._encode(stringify(file, this.#spaces), this._dataPath(fileName));
+
+        // Asynchronous calls write the file themselves once the method returns
+        if (this.#asyncContext) {
+            this.#asyncContext.writes.push({ fileName, data });
+            this.#dirty.delete(fileName);
+            return;
+        }
+
+        for (const [filePath, content] of this._checksumFiles(fileName, data)) this.#adapter.write(filePath, content);
+        this.#adapter.write(this._dataPath(fileName), data);
+        this._removeOtherVersions(fileName);
+        this.#dirty.delete(fileName);
+
+        // The file now contains every change in the journal, so the journal is no longer needed
+        if (this.#journal) this._clearJournal(fileName);
+        this._updateSignature(fileName);
+    }
+
+
+    /**
+     * Compresses the text if the file has a compressed extension, then encrypts it if the encryption setting is on
+     * @param {String} text - Text to be written
+     * @param {String} filePath - Path of the file
+     * @returns {String|Buffer}
+     * @private
+     */
+    _encode(text, filePath) {
+        const data = compressionOf(filePath)?.compress(text) ?? text;
+        return this.#encryptor ? this.#encryptor.encrypt(data) : data;
+    }
+
+
+    /**
+     * Decrypts the data if the encryption setting is on (Encrypted files can't be read without it), then decompresses it if the file has a compressed extension
+     * @param {String|Buffer} data - Data that was read
+     * @param {String} filePath - Path of the file
+     * @returns {String}
+     * @private
+     */
+    _decode(data, filePath) {
+        if (this.#encryptor) data = this.#encryptor.decrypt(String(data), filePath);
+        else if (Encryptor.isEncrypted(data)) throw new DatabaseError(`${filePath} is encrypted, the encryption setting is needed to read it`, decryptionFailed);
+
+        const compression = compressionOf(filePath);
+        if (!compression) return String(data);
+
+        try {
+            return compression.decompress(Buffer.from(data)).toString("utf-8");
+        } catch (error) {
+            throw new DatabaseError(`${filePath} could not be decompressed (${error.message})`, corruptFile);
+        }
+    }
+
+
+    /**
+     * Reads the file, compressed files are read as a Buffer with the readBuffer method of the adapter (Asynchronous calls read it before the method runs)
+     * @param {String} filePath - Path of the file
+     * @param {String} [formatPath] - Path whose extension tells whether the file is compressed (Defaults to filePath)
+     * @returns {String|Buffer}
+     * @private
+     */
+    _readData(filePath, formatPath = filePath) {
+        const read = this.#asyncContext?.reads.get(filePath);
+        if (read !== undefined) return read;
+        if (!compressionOf(formatPath)) return this.#adapter.read(filePath);
+
+        if (typeof this.#adapter.readBuffer != "function") throw new DatabaseError(`${filePath} is compressed, the adapter must have a readBuffer method to read it`, invalidInput);
+        return this.#adapter.readBuffer(filePath);
+    }
+
+
+    /**
+     * Returns the path of the file with the extension of the compression setting
+     * @param {String} fileName - File name
+     * @returns {String}
+     * @private
+     */
+    _dataPath(fileName) {
+        return `${fileName}${this.#extension}`;
+    }
+
+
+    /**
+     * Returns the path of the file that exists, the one with the extension of the compression setting comes first
+     * @param {String} fileName - File name
+     * @returns {String|null}
+     * @private
+     */
+    _findDataPath(fileName) {
+        const extension = [this.#extension, ...DATA_EXTENSIONS].find(extension => this.#adapter.exists(`${fileName}${extension}`));
+        return extension ? `${fileName}${extension}` : null;
+    }
+
+
+    /**
+     * Deletes the versions of the file written with other compression settings, so only the latest one is kept
+     * 
+     * Checksums and backups that are no longer updated are deleted too, so they can't replace newer data later
+     * @param {String} fileName - File name
+     * @private
+     */
+    _removeOtherVersions(fileName) {
+        for (const filePath of this._otherVersionPaths(fileName)) {
+            if (this.#adapter.exists(filePath)) this.#adapter.remove(filePath);
+        }
+    }
+
+
+    /**
+     * Returns the paths of the versions of the file, checksums and backups that _removeOtherVersions deletes
+     * @param {String} fileName - File name
+     * @returns {Array<String>}
+     * @private
+     */
+    _otherVersionPaths(fileName) {
+        return DATA_EXTENSIONS.flatMap(extension => {
+            const dataPath = `${fileName}${extension}`;
+            return extension != this.#extension ? [dataPath, `${dataPath}.sha256`, `${dataPath}.bak`] : this.#checksum ? [] : [`${dataPath}.sha256`, `${dataPath}.bak`];
+        });
+    }
+
+
+    /**
+     * Returns the backup and the checksum files to be written with the file if the checksum setting is on
+     * 
+     * They are written before the file, so if the process crashes in between, the file doesn't match the checksum and the backup has the latest data
+     * @param {String} fileName - File name
+     * @param {String|Buffer} data - Content of the file
+     * @returns {Array<[String, String|Buffer]>}
+     * @private
+     */
+    _checksumFiles(fileName, data) {
+        if (!this.#checksum) return [];
+
+        const dataPath = this._dataPath(fileName);
+        return [[`${dataPath}.bak`, data], [`${dataPath}.sha256`, checksumOf(data)]];
+    }
+
+
+    /**
+     * Runs the method after the previous asynchronous calls of the same files, reading and writing the files with fs/promises
+     * @param {String} method - Method name
+     * @param {Array<any>} args - Arguments of the method
+     * @returns {Promise<any>}
+     * @private
+     */
+    _runAsync(method, args) {
+        let fileNames;
+        let fileName = args[ASYNC_METHODS[method]];
+
+        // set, import and createIndex can take their file name in an options object
+        if ((method == "set" || method == "import" || method == "createIndex") && Object.prototype.toString.call(fileName) == "[object Object]") fileName = fileName.fileName;
+
+        if (method == "writeAll" || method == "checkpoint" || method == "flush" || method == "close") {
+            // These methods use all the files in the cache if no file name is entered
+            fileNames = typeof fileName == "string" ? [fileName] : Array.isArray(fileName) ? fileName : Object.keys(this.#cache || {});
+        } else if (method == "rekey" || method == "migrateCompression") {
+            // These methods use the default file and the files in the cache if no file names are entered
+            fileNames = Array.isArray(fileName) ? fileName : [this.#DEFAULT_FILE_NAME, ...Object.keys(this.#cache || {})];
+        } else {
+            fileNames = [typeof fileName == "string" ? fileName : this.#DEFAULT_FILE_NAME];
+            if (method == "clone" && typeof args[0] == "string") fileNames.push(args[0]);
+        }
+        fileNames = [...new Set(fileNames.map(removeJsonAtEnd))];
+
+        const adapter = this.#adapter;
+        const run = async () => {
+            /** @type {Array<String>} */
+            const locks = [];
+
+            try {
+                if (this.#lock) {
+                    for (const name of fileNames) {
+                        if (await this._lockFileAsync(name)) locks.push(name);
+                    }
+                }
+
+                /** @type {Map<String, String|Buffer>} */
+                const reads = new Map();
+
+                for (const name of fileNames) {
+                    if (this.#cache?.[name]) continue;
+
+                    for (const filePath of [this._findDataPath(name), `${name}.wal`]) {
+                        if (!filePath || !adapter.exists(filePath)) continue;
+
+                        if (!compressionOf(filePath)) reads.set(filePath, adapter.readAsync ? await adapter.readAsync(filePath) : adapter.read(filePath));
+                        else if (adapter.readBufferAsync) reads.set(filePath, await adapter.readBufferAsync(filePath));
+                    }
+                }
+
+                const context = this.#asyncContext = { reads, writes: [], locks };
+                let result;
+                try {
+                    result = this[method](...args);
+                } finally {
+                    this.#asyncContext = null;
+                }
+
+                try {
+                    for (const write of context.writes) {
+                        if ("line" in write) {
+                            await this._appendAsync(write.filePath, write.line);
+                            continue;
+                        }
+
+                        const { fileName, data } = write;
+                        for (const [filePath, content] of this._checksumFiles(fileName, data)) await this._writeAsync(filePath, content);
+                        await this._writeAsync(this._dataPath(fileName), data);
+                        for (const filePath of this._otherVersionPaths(fileName)) await this._removeAsync(filePath);
+                        if (this.#journal) {
+                            await this._removeAsync(`${fileName}.wal`);
+                            this.#journalSizes.set(fileName, 0);
+                        }
+                    }
+                } catch (error) {
+                    // The method has already changed the cached files, so they are read again without the changes that weren't saved
+                    if (this.#cache) fileNames.forEach(name => delete this.#cache[name]);
+                    throw error;
+                }
+                fileNames.forEach(name => this._updateSignature(name));
+                return result;
+            } finally {
+                for (const name of locks) await this._unlockFileAsync(name);
+            }
+        };
+
+        const previous = fileNames.map(name => this.#queues.get(name));
+        const promise = Promise.all(previous).then(run);
+
+        // A failed call must not stop the calls queued after it
+        const queued = promise.catch(() => { });
+        fileNames.forEach(name => this.#queues.set(name, queued));
+        queued.then(() => fileNames.forEach(name => {
+            if (this.#queues.get(name) === queued) this.#queues.delete(name);
+        }));
+
+        return promise;
+    }
+
+
+    /**
+     * Writes the file with the writeAsync method of the adapter, or with write if it doesn't have one
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeAsync(filePath, data) {
+        if (this.#adapter.writeAsync) await this.#adapter.writeAsync(filePath, data);
+        else this.#adapter.write(filePath, data);
+    }
+
+
+    /**
+     * Adds the line to the end of the file with the appendAsync method of the adapter, falling back to append and then to reading and writing the file again
+     * @param {String} filePath - Path of the file
+     * @param {String} line - Line to be added
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _appendAsync(filePath, line) {
+        const adapter = this.#adapter;
+        if (adapter.appendAsync) return adapter.appendAsync(filePath, line);
+        if (adapter.append) return adapter.append(filePath, line);
+
+        const content = !adapter.exists(filePath) ? "" : adapter.readAsync ? await adapter.readAsync(filePath) : adapter.read(filePath);
+        await this._writeAsync(filePath, content + line);
+    }
+
+
+    /**
+     * Deletes the file with the removeAsync method of the adapter, or with remove if it doesn't have one
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _removeAsync(filePath) {
+        if (this.#adapter.removeAsync) await this.#adapter.removeAsync(filePath);
+        else this.#adapter.remove(filePath);
+    }
+
+
+    /**
+     * Appends the entry to the journal of the file and flushes it to disk
+     * @param {String} fileName - File name
+     * @param {Object} entry - Journal entry
+     * @private
+     */
+    _appendJournal(fileName, entry) {
+        const journalPath = `${fileName}.wal`;
+        const line = this._appendLine(journalPath, entry);
+
+        this.#journalSizes.set(fileName, (this.#journalSizes.get(fileName) || 0) + Buffer.byteLength(line));
+        this._updateSignature(fileName);
+        this.emit("journal", { fileName, entry });
+    }
+
+
+    /**
+     * Appends the entry to the end of the log as a line (If the adapter can't append, the log is read and written again)
+     * @param {String} filePath - Path of the log
+     * @param {Object} entry - Entry
+     * @returns {String} - Returns the line that was appended
+     * @private
+     */
+    _appendLine(filePath, entry) {
+        const line = `${this._encode(stringify(entry), filePath)}\n`;
+
+        // Asynchronous calls append the line themselves once the method returns
+        if (this.#asyncContext) this.#asyncContext.writes.push({ filePath, line });
+        else if (this.#adapter.append) this.#adapter.append(filePath, line);
+        else this.#adapter.write(filePath, (this.#adapter.exists(filePath) ? this.#adapter.read(filePath) : "") + line);
+        return line;
+    }
+
+
+    /**
+     * Appends the change to the history of the file if the history setting is on
+     * 
+     * Changes of some keys only have the new values of those keys, the whole file is kept if it has been replaced
+     * @param {String} fileName - File name
+     * @param {Object<String, any>} file - File after the change
+     * @param {Changes} changes - Changes made to the file
+     * @private
+     */
+    _recordHistory(fileName, file, changes) {
+        if (!this.#history) return;
+
+        const time = Date.now();
+        this._appendLine(`${fileName}.history`, changes.keys ? { time, ...createJournalEntry(file, changes) } : { time, op: changes.op, file });
+    }
+
+
+    /**
+     * Returns the entries in the history of the file, from the oldest to the newest
+     * @param {String} fileName - File name
+     * @returns {Array<{ time: Number, op: String, set?: Object<String, any>, delete?: Array<String>, file?: Object<String, any> }>}
+     * @private
+     */
+    _readHistory(fileName) {
+        const historyPath = `${fileName}.history`;
+        if (!this.#adapter.exists(historyPath)) return [];
+
+        return this.#adapter.read(historyPath).split("\n").filter(Boolean).map(line => parse(this._decode(line, historyPath)));
+    }
+
+
+    /**
+     * Gets the lock of the file, waiting for other processes to release it
+     * 
+     * If another process changed the file since it was cached, it is removed from the cache so it is read again
+     * @param {String} fileName - File name
+     * @param {Number} [timeout] - How many milliseconds to wait
+     * @returns {Boolean} - Returns true if the lock was newly taken, false if this instance already held it
+     * @private
+     */
+    _lockFile(fileName, timeout = this.#lockTimeout) {
+        if (this.#locks.has(fileName)) return false;
+
+        const lockPath = `${fileName}.json.lock`;
+        const holders = heldLocks.get(lockPath);
+
+        if (holders) {
+            heldLocks.set(lockPath, holders + 1);
+        } else {
+            const start = Date.now();
+            while (!tryLock(lockPath)) {
+                if (Date.now() - start >= timeout) throw new DatabaseError(`The lock of ${fileName}.json could not be acquired in ${timeout}ms`, lockTimeout);
+                sleep(LOCK_RETRY_INTERVAL);
+            }
+            heldLocks.set(lockPath, 1);
+        }
+        this.#locks.add(fileName);
+
+        if (this.#cache?.[fileName] && !this.#dirty.has(fileName) && this.#signatures.get(fileName) !== this._fileSignature(fileName)) {
+            delete this.#cache[fileName];
+        }
+        return true;
+    }
+
+
+    /**
+     * Promise based version of _lockFile, it waits without blocking the event loop
+     * @param {String} fileName - File name
+     * @returns {Promise<Boolean>}
+     * @private
+     */
+    async _lockFileAsync(fileName) {
+        const start = Date.now();
+
+        while (true) {
+            try {
+                return this._lockFile(fileName, 0);
+            } catch (error) {
+                if (error.code !== lockTimeout) throw error;
+                if (Date.now() - start >= this.#lockTimeout) throw new DatabaseError(`The lock of ${fileName}.json could not be acquired in ${this.#lockTimeout}ms`, lockTimeout);
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+            }
+        }
+    }
+
+
+    /**
+     * Releases the lock of the file
+     * @param {String} fileName - File name
+     * @private
+     */
+    _unlockFile(fileName) {
+        const lockPath = this._releaseLock(fileName);
+        if (!lockPath) return;
+
+        try {
+            unlinkSync(lockPath);
+        } catch { }
+    }
+
+
+    /**
+     * Promise based version of _unlockFile
+     * @param {String} fileName - File name
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _unlockFileAsync(fileName) {
+        const lockPath = this._releaseLock(fileName);
+        if (lockPath) await promises.rm(lockPath, { force: true }).catch(() => { });
+    }
+
+
+    /**
+     * Stops holding the lock of the file in this instance
+     * @param {String} fileName - File name
+     * @returns {String|null} - Returns the path of the lock file if no instance in this process holds it anymore, so it must be deleted
+     * @private
+     */
+    _releaseLock(fileName) {
+        if (!this.#locks.delete(fileName)) return null;
+
+        const lockPath = `${fileName}.json.lock`;
+        const holders = (heldLocks.get(lockPath) || 1) - 1;
+
+        if (holders > 0) {
+            heldLocks.set(lockPath, holders);
+            return null;
+        }
+
+        heldLocks.delete(lockPath);
+        return lockPath;
+    }
+
+
+    /**
+     * Returns a signature of the file that changes whenever the file is written
+     * @param {String} fileName - File name
+     * @returns {String}
+     * @private
+     */
+    _fileSignature(fileName) {
+        return [this._dataPath(fileName), `${fileName}.wal`].map(filePath => {
+            const stats = statSync(filePath, { throwIfNoEntry: false });
+            return stats ? `${stats.ino}:${stats.mtimeMs}:${stats.size}` : "";
+        }).join("|");
+    }
+
+
+    /**
+     * Saves the signature of the file, so changes made by other processes can be told apart from the changes of this instance
+     * @param {String} fileName - File name
+     * @private
+     */
+    _updateSignature(fileName) {
+        if (this.#lock || this.#watch) this.#signatures.set(fileName, this._fileSignature(fileName));
+    }
+
+
+    /**
+     * Starts watching the file if the watch setting is on
+     * @param {String} fileName - File name
+     * @private
+     */
+    _watchFile(fileName) {
+        if (!this.#watch || this.#watchers.has(fileName)) return;
+
+        const listener = () => this._reloadFile(fileName);
+        for (const filePath of [this._dataPath(fileName), `${fileName}.wal`]) {
+            watchFile(filePath, { interval: this.#watchInterval, persistent: false }, listener);
+        }
+        this.#watchers.set(fileName, listener);
+    }
+
+
+    /**
+     * Stops watching the file
+     * @param {String} fileName - File name
+     * @private
+     */
+    _unwatchFile(fileName) {
+        const listener = this.#watchers.get(fileName);
+        if (!listener) return;
+
+        for (const filePath of [this._dataPath(fileName), `${fileName}.wal`]) unwatchFile(filePath, listener);
+        this.#watchers.delete(fileName);
+    }
+
+
+    /**
+     * Reads the watched file again if it was changed by someone else and emits the keys that changed
+     * @param {String} fileName - File name
+     * @param {Number} [attempt=0] - How many times the file couldn't be parsed
+     * @private
+     */
+    _reloadFile(fileName, attempt = 0) {
+        const cache = this.#cache;
+        const oldFile = cache?.[fileName];
+
+        // Changes waiting in the cache would be lost, so those files are not read again
+        if (!cache || !oldFile || this.#dirty.has(fileName) || !this.#watchers.has(fileName)) return;
+        if (this._fileSignature(fileName) === this.#signatures.get(fileName)) return;
+
+        let file;
+        try {
+            file = this._readFile(fileName, false);
+        } catch (error) {
+            // The file may be in the middle of being saved, so it is read again a bit later
+            if (error instanceof DatabaseError && error.code == corruptFile && attempt < RELOAD_RETRIES) {
+                setTimeout(() => this._reloadFile(fileName, attempt + 1), this.#watchInterval).unref();
+            } else {
+                this.emit("reloadError", { fileName, error, attempt });
+            }
+            return;
+        }
 
-        // Save in cache (This caching can also be used for multiple files)
-        this.#cache = cache ? { [this.#DEFAULT_FILE_NAME]: JSON.parse(readFileSync(`${this.#DEFAULT_FILE_NAME}.json`, "utf-8")) } : null;
+        cache[fileName] = file;
 
-        this.#spaces = Number(spaces);
+        const diff = diffFiles(oldFile, file);
+        if (diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0) this.emit("reload", { fileName, file, ...diff });
+    }
 
-        if (isNaN(this.#spaces)) this.#spaces = 4;
-        if (this.#spaces < 0) this.#spaces = 0;
 
-        // If both autoWrite and cache features are turned off, it will give an error because no matter how much data is written, there will be no change in the database
-        if (this.#autoWrite === false && this.#cache === undefined) throw new DatabaseError("AutoWrite and cache cannot be turned off at the same time!");
+    /**
+     * Removes the process event handlers registered by the flushOnExit setting
+     * @private
+     */
+    _removeExitHandlers() {
+        for (const [event, handler] of this.#exitHandlers) process.off(event, handler);
+        this.#exitHandlers.clear();
     }
 
 
+    /**
+     * Deletes the journal of the file
+     * @param {String} fileName - File name
+     * @private
+     */
+    _clearJournal(fileName) {
+        this.#adapter.remove(`${fileName}.wal`);
+        this.#journalSizes.set(fileName, 0);
+    }
 
-    // #region Private
 
     /**
+     * Returns the entries of the file that match the callback or query object
      * @param {String} fileName - File name
+     * @param {Function|Object<String, any>} [where] - Callback or query object (All entries are returned if it isn't entered)
+     * @returns {{ file: Object<String, any>, entries: Array<{ key: String, value: any }> }}
      * @private
      */
-    _getFile(fileName) {
-        fileName = removeJsonAtEnd(fileName);
-        if (this.#cache !== null) {
-            // If the file is already in cache, return it
-            const cache = this.#cache[fileName];
-            if (cache) {
-                this.emit("getFile", { fileName, file: cache, fromCache: true, saveCache: false, fromFile: false });
-                return cache;
-            }
+    _aggregate(fileName, where) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
-            // If the file is not in cache, read it from the file system and add it to the cache and return it
-            this.#cache[fileName] = JSON.parse(readFileSync(`${fileName}.json`, "utf-8"));
-            this.emit("getFile", { fileName, file: this.#cache[fileName], fromCache: false, saveCache: true, fromFile: false });
-            return this.#cache[fileName];
-        }
+        const callback = where === undefined ? () => true : toCallback(where);
+        const file = this._getFile(fileName);
+        const entries = this._queryEntries(fileName, file, where);
 
-        const data = JSON.parse(readFileSync(`${fileName}.json`, "utf-8"));
-        this.emit("getFile", { fileName, data, fromCache: false, saveCache: false, fromFile: true });
-        return data;
+        return {
+            file,
+            entries: entries.filter(([key, value], index) => callback(key, value, index, entries)).map(([key, value]) => ({ key, value }))
+        };
     }
 
 
+
     /**
+     * Returns the numbers at the path of the entries, values that aren't numbers are skipped
+     * @param {String} path - Path of the entry
      * @param {String} fileName - File name
-     * @param {Object} file - File
+     * @param {Function|Object<String, any>} [where] - Callback or query object
+     * @returns {{ file: Object<String, any>, numbers: Array<{ key: String, value: Number }> }}
      * @private
      */
-    _writeAndCache(fileName, file) {
-        if (this.#autoWrite) {
-            writeFileSync(`${fileName}.json`, JSON.stringify(file, null, this.#spaces));
-            this.emit("writeFile", { fileName, file });
-        }
-        if (this.#cache) {
-            this.#cache[fileName] = file;
-            this.emit("writeCache", { fileName, file });
+    _aggregateNumbers(path, fileName, where) {
+        if (!path) throw new DatabaseError("path value is missing", missingInput);
+        if (typeof path != "string") throw new DatabaseError("path value must be a string", invalidInput);
+
+        const { file, entries } = this._aggregate(fileName, where);
+        const numbers = [];
+
+        for (const entry of entries) {
+            const value = getKey(entry, path);
+            if (typeof value == "number" && !isNaN(value)) numbers.push({ key: entry.key, value });
         }
+
+        return { file, numbers };
     }
     // #endregion
 
@@ -231,6 +2668,76 @@ export default class Database {
 
 
 
+    /**
+     * Registers a class so its instances are kept in the JSON files and come back as instances of the class when the files are read
+     * 
+     * Date, BigInt, Map, Set, Buffer and RegExp values are kept by default
+     * @param {String} name - Name of the type in the files, must be the same every time the files are read
+     * @param {Function} Class - Class of the values
+     * @param {{ serialize?: (value: any) => any, deserialize?: (data: any) => any }} [options] - Converts the value into JSON compatible data and back (By default the own properties of the value are kept and copied onto a new object of the class)
+     * @return {Boolean} - Returns false if the type was already registered and has been replaced
+     * @example
+     * 
+     * class Money {
+     *  constructor(amount, currency) {
+     *   this.amount = amount;
+     *   this.currency = currency;
+     *  }
+     * }
+     * 
+     * AlisaDB.registerType("Money", Money);
+     * 
+     * Database.set("price", new Money(5, "USD"));
+     * 
+     * Database.get("price") instanceof Money // true
+     */
+
+    static registerType(name, Class, { serialize = value => ({ ...value }), deserialize = data => Object.assign(Object.create(Class.prototype), data) } = {}) {
+        if (!name) throw new DatabaseError("name value is missing", missingInput);
+        if (typeof name != "string") throw new DatabaseError("name value must be a string", invalidInput);
+
+        if (typeof Class != "function") throw new DatabaseError("Class value must be a class", invalidInput);
+        if (typeof serialize != "function" || typeof deserialize != "function") throw new DatabaseError("serialize and deserialize values must be functions", invalidInput);
+
+        const index = VALUE_TYPES.findIndex(type => type.name == name);
+        if (VALUE_TYPES[index]?.builtIn) throw new DatabaseError(`${name} is a built-in type and can't be registered again`, invalidInput);
+
+        /** @type {ValueType} */
+        const type = { name, test: value => value instanceof Class, serialize, deserialize };
+
+        // Registered types are checked first, so subclasses of built-in types can be registered
+        if (index == -1) VALUE_TYPES.unshift(type);
+        else VALUE_TYPES[index] = type;
+        return index == -1;
+    }
+
+
+
+    /**
+     * Promise based versions of the database's methods, they read and write the files with fs/promises instead of blocking the event loop
+     * 
+     * transaction, query, on, off and emit don't have promise based versions
+     * 
+     * Calls that use the same file run one after another, so writes to a file can't interleave
+     * @return {AsyncDatabase}
+     * @example
+     * 
+     * await Database.async.set("hello", "World");
+     * 
+     * await Database.async.get("hello") // "World"
+     * 
+     * // These run one after another, so none of the additions are lost
+     * await Promise.all([Database.async.add("coins", 5), Database.async.add("coins", 10)]);
+     */
+
+    get async() {
+        return this.#async ??= Object.fromEntries(
+            Object.keys(ASYNC_METHODS).map(method => [method, (/** @type {Array<any>} */ ...args) => this._runAsync(method, args)])
+        );
+    }
+
+
+
 
     // #region Main
 
@@ -264,33 +2771,253 @@ export default class Database {
 
     /**
      * If you have the database's cache setting open, use this command to save all the information in the cache to JSON files.
-     * @param {String|Array<String>} fileName - If you only want one file to be saved, enter the name of the file. If you want specific multiple files to be saved, enter the file names in Array
-     * @return {Boolean}
+     * 
+     * Only the files that were changed since they were last written are saved, the others are skipped
+     * @param {String|Array<String>} [fileName] - If you only want one file to be saved, enter the name of the file. If you want specific multiple files to be saved, enter the file names in Array
+     * @param {Boolean} [force=false] - Writes the cached files even if they have no changes
+     * @return {WriteReport|false}
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { cache: true, autoWrite: false });
+     * 
+     * Database.set("hello", "World");
+     * 
+     * Database.writeAll() // { written: ["database"], skipped: [] }
+     * 
+     * // Nothing has changed since the last write
+     * Database.writeAll() // { written: [], skipped: ["database"] }
      */
 
-    writeAll(fileName) {
+    writeAll(fileName, force = false) {
         // If the cache feature is turned off, it will give an error because there is no data to write
         if (!this.#cache || Object.prototype.toString.call(this.#cache) !== "[object Object]") return false;
 
-        /** @param {String} fileName */
-        const writeFile = (fileName) => {
-            if (this.#cache == null) return;
-            writeFileSync(`${fileName}.json`, JSON.stringify(this.#cache[fileName] || {}, null, this.#spaces));
+        const fileNames = typeof fileName == "string" ? [fileName] : Array.isArray(fileName) ? fileName : Object.keys(this.#cache);
+
+        /** @type {WriteReport} */
+        const report = { written: [], skipped: [] };
+
+        for (const file of fileNames.map(removeJsonAtEnd)) {
+            const data = this.#cache[file];
+            if (!data || (!force && !this.#dirty.has(file))) {
+                report.skipped.push(file);
+                continue;
+            }
+
+            this._writeFile(file, data);
+            report.written.push(file);
         }
 
-        if (typeof fileName == "string") {
-            writeFile(fileName);
-            return true;
-        } else if (Array.isArray(fileName)) {
-            fileName.forEach(file => {
-                writeFile(file);
-            });
-            return true;
+        return report;
+    }
+
+
+
+    /**
+     * Checks whether the file has changes in the cache that haven't been written to the JSON file yet
+     * @param {String} fileName - File name (Optional)
+     * @return {Boolean}
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { cache: true, autoWrite: false });
+     * 
+     * Database.set("hello", "World");
+     * Database.isDirty() // true
+     * 
+     * Database.writeAll();
+     * Database.isDirty() // false
+     */
+
+    isDirty(fileName = this.#DEFAULT_FILE_NAME) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        return this.#dirty.has(removeJsonAtEnd(fileName));
+    }
+
+
+
+    /**
+     * Returns the names of the files that have changes in the cache that haven't been written to the JSON files yet
+     * @return {Array<String>}
+     * @example
+     * 
+     * Database.set("hello", "World", "english.json");
+     * Database.set("hello", "Dünya", "turkish.json");
+     * 
+     * Database.dirtyFiles() // ["english", "turkish"]
+     */
+
+    dirtyFiles() {
+        return [...this.#dirty.keys()];
+    }
+
+
+
+    /**
+     * Runs the callback as a transaction, either all of the changes made inside it are saved or none of them
+     * 
+     * The changes are made on copies of the files and each changed file is written once when the callback returns. If the callback throws, nothing is written and the error is thrown again. Events emitted inside the transaction are emitted after it is committed
+     * @template T
+     * @param {(tx: Database) => T} callback - Function that makes the changes (It must be synchronous)
+     * @return {T}
+     * @example
+     * 
+     * // Either both of them are changed or neither
+     * Database.transaction(tx => {
+     *   tx.substr("alice", 50);
+     *   tx.add("bob", 50);
+     * });
+     * 
+     * // If something throws, the changes made so far are rolled back
+     * Database.transaction(tx => {
+     *   tx.substr("alice", 50);
+     *   tx.add("bob", "not a number"); // Throws and "alice" is not changed
+     * });
+     */
+
+    transaction(callback) {
+        if (typeof callback != "function") throw new DatabaseError("callback value must be a function value", invalidInput);
+
+        // A transaction inside another one is part of the outer transaction
+        if (this.#transaction) return callback(this);
+
+        const transaction = this.#transaction = { files: new Map(), changes: new Map(), expiries: new Map(), events: [] };
+
+        let result;
+        try {
+            result = callback(this);
+            if (typeof /** @type {any} */ (result)?.then == "function") throw new DatabaseError("callback of the transaction must be synchronous", invalidInput);
+
+            // The keys that expired while the callback was running are deleted from the copies too
+            for (const fileName of transaction.changes.keys()) this._purgeExpired(fileName);
+
+            // Every changed file is checked against the unique indexes before any of them is written
+            for (const [fileName, changes] of transaction.changes) this._checkIndexes(fileName, transaction.files.get(fileName) || {}, changes);
+        } catch (error) {
+            this.#transaction = null;
+            this.emit("rollback", { fileName: this.#DEFAULT_FILE_NAME, error, events: transaction.events.length });
+            throw error;
         }
+        this.#transaction = null;
+
+        for (const [fileName, changes] of transaction.changes) {
+            this._writeAndCache(fileName, transaction.files.get(fileName) || {}, changes);
+        }
+        this._commitExpiries(transaction);
+
+        transaction.events.forEach(([event, payload]) => this.emit(event, payload));
+        this.emit("commit", { fileName: this.#DEFAULT_FILE_NAME, files: [...transaction.changes.keys()] });
+        return result;
+    }
+
+
+    /**
+     * If autoWrite is batched, writes the files that have changes waiting to be written without waiting for the interval
+     * @param {String} [fileName] - File name (If not entered, all files with waiting changes are written)
+     * @return {Boolean}
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { autoWrite: { interval: 5000 } });
+     * 
+     * // These are only written to the cache
+     * Database.add("coins", 5);
+     * Database.add("coins", 10);
+     * 
+     * // Writes ./database.json once for both changes
+     * Database.flush();
+     */
+
+    flush(fileName) {
+        if (this.#cache === null) return false;
+
+        if (fileName !== undefined && typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const fileNames = fileName === undefined ? [...this.#dirty.keys()] : [removeJsonAtEnd(fileName)];
+
+        for (const name of fileNames) {
+            const operations = this.#dirty.get(name);
+            const file = this.#cache[name];
+            if (!operations || !file) continue;
+
+            this._writeFile(name, file);
+            this.emit("writeFile", { fileName: name, file, operations });
+        }
+
+        if (this.#dirty.size === 0 && this.#flushTimer) {
+            clearTimeout(this.#flushTimer);
+            this.#flushTimer = null;
+        }
+        return true;
+    }
 
-        Object.entries(this.#cache).forEach(([file, data]) => {
-            writeFileSync(`${file}.json`, JSON.stringify(data, null, this.#spaces));
-        });
+
+    /**
+     * Writes the changes waiting in the cache, removes the process event handlers and all listeners so the database can be disposed
+     * @return {Boolean}
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { cache: true, autoWrite: false, flushOnExit: true });
+     * 
+     * Database.set("hello", "World");
+     * 
+     * // Writes ./database.json and removes everything the database registered
+     * Database.close();
+     */
+
+    close() {
+        this.flush();
+        if (this.#flushTimer) {
+            clearTimeout(this.#flushTimer);
+            this.#flushTimer = null;
+        }
+        if (this.#expiryTimer) {
+            clearInterval(this.#expiryTimer);
+            this.#expiryTimer = null;
+        }
+        if (this.#backupTimer) {
+            clearInterval(this.#backupTimer);
+            this.#backupTimer = null;
+        }
+
+        this._removeExitHandlers();
+        [...this.#watchers.keys()].forEach(fileName => this._unwatchFile(fileName));
+        this.emit("close", { fileName: this.#DEFAULT_FILE_NAME });
+        this.#listeners.clear();
+        return true;
+    }
+
+
+    /**
+     * If the journal setting is on, writes the changes in the journal to the JSON files and empties the journal
+     * @param {String} [fileName] - File name (If not entered, all files in the cache are checkpointed)
+     * @return {Boolean}
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { journal: true });
+     * 
+     * // Changes are only appended to ./database.wal
+     * Database.set("hello", "World");
+     * 
+     * // Writes ./database.json and deletes ./database.wal
+     * Database.checkpoint();
+     */
+
+    checkpoint(fileName) {
+        if (!this.#journal || this.#cache === null) return false;
+
+        if (fileName !== undefined && typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const fileNames = fileName === undefined ? Object.keys(this.#cache) : [removeJsonAtEnd(fileName)];
+
+        for (const name of fileNames) {
+            const file = this._getFile(name);
+            const journalSize = this.#journalSizes.get(name) || 0;
+            if (journalSize === 0) continue;
+
+            this._writeFile(name, file);
+            this.emit("writeFile", { fileName: name, file });
+            this.emit("checkpoint", { fileName: name, file, journalSize });
+        }
 
         return true;
     }
@@ -298,9 +3025,9 @@ export default class Database {
 
     /**
      * Writes new data to JSON file or replaces existing data
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Object|Date|String|Array<any>|null} value - The value corresponding to the typed key
-     * @param {String} fileName - File name (Optional)
+     * @param {String|{ ttl?: Number, fileName?: String }} fileName - File name, or an object with the file name and the time to live of the key in milliseconds (Optional)
      * @return {Object}
      * @example
      * 
@@ -312,6 +3039,15 @@ export default class Database {
      * 
      * // Writes the word "Crazy" against the "Fearless" key value in ./database/fearless.json
      * Database.set("Fearless", "Crazy", "database/fearless.json") // { "Fearless": "Crazy" }
+     * 
+     * // Keys separated by dots are used as a path, the missing objects are created
+     * Database.set("users.123.name", "Ali") // { "users": { "123": { "name": "Ali" } } }
+     * 
+     * // Use "\\." for keys that contain dots
+     * Database.set("version\\.json", 2) // { "version.json": 2 }
+     * 
+     * // The key is deleted after 1 minute
+     * Database.set("cooldowns.123", Date.now(), { ttl: 60 * 1000 })
      */
 
     set(key, value, fileName = this.#DEFAULT_FILE_NAME) {
@@ -320,13 +3056,28 @@ export default class Database {
 
         if (!(1 in arguments)) throw new DatabaseError("value value is missing", missingInput);
 
+        let ttl;
+        if (Object.prototype.toString.call(fileName) == "[object Object]") {
+            ({ ttl, fileName = this.#DEFAULT_FILE_NAME } = /** @type {{ ttl?: Number, fileName?: String }} */ (fileName));
+
+            if (ttl !== undefined) {
+                ttl = Number(ttl);
+                if (isNaN(ttl)) throw new DatabaseError("ttl value must be a number", notNumber);
+                if (ttl <= 0) throw new DatabaseError("ttl value must be greater than 0", negativeNumber);
+            }
+        }
+
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        file[key] = value;
-        this.emit("set", { fileName, file, key, value });
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        parent[last] = value;
+        this.emit("set", { fileName, file, key, rootKey, value, ttl });
 
-        this._writeAndCache(fileName, file);
+        this._writeAndCache(fileName, file, { op: "set", keys: [rootKey] });
+
+        // Setting a key again without a ttl makes it permanent
+        this._setExpiry(fileName, key, ttl === undefined ? undefined : Date.now() + ttl);
         return file;
     }
 
@@ -371,7 +3122,7 @@ export default class Database {
         };
         this.emit("setMany", { fileName, file, items });
 
-        this._writeAndCache(fileName, file);
+        this._writeAndCache(fileName, file, { op: "setMany", keys: Object.keys(items) });
     }
 
 
@@ -400,17 +3151,113 @@ export default class Database {
      * ], "database/fearless.json");
      */
 
-    setFile(input, fileName = this.#DEFAULT_FILE_NAME) {
-        if (!input) throw new DatabaseError("input value is missing", missingInput);
-        if (!Array.isArray(input) && Object.prototype.toString.call(input) != "[object Object]") throw new DatabaseError("input value must be an Array or Object type", invalidInput);
+    setFile(input, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!input) throw new DatabaseError("input value is missing", missingInput);
+        if (!Array.isArray(input) && Object.prototype.toString.call(input) != "[object Object]") throw new DatabaseError("input value must be an Array or Object type", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        if (Array.isArray(input)) input = Object.fromEntries(input);
+
+        this.emit("setFile", { fileName, file: input, input });
+        this._writeAndCache(fileName, input, { op: "setFile" });
+        return input;
+    }
+
+
+
+    /**
+     * Deletes the key after the specified time, the expiry time is kept in the `<name>.ttl.json` file so it isn't lost when the process restarts
+     * @param {String} key - Name of key or its path separated by dots
+     * @param {Number} ms - Time to live of the key in milliseconds
+     * @param {String} fileName - File name (Optional)
+     * @return {Boolean} - Returns false if there is no such key
+     * @example
+     * 
+     * // First, let's print some data to the database
+     * Database.set("bans.123", "Spamming");
+     * 
+     * // The ban is deleted after 1 hour and an "expire" event is emitted
+     * Database.expire("bans.123", 60 * 60 * 1000) // true
+     */
+
+    expire(key, ms, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!key) throw new DatabaseError("key value is missing", missingInput);
+        if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
+
+        ms = Number(ms);
+        if (isNaN(ms)) throw new DatabaseError("ms value must be a number", notNumber);
+        if (ms <= 0) throw new DatabaseError("ms value must be greater than 0", negativeNumber);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const file = this._getFile(fileName);
+        const { parent, last } = resolveKey(file, key);
+        if (parent === undefined || !Object.hasOwn(parent, last)) return false;
+
+        this._setExpiry(fileName, key, Date.now() + ms);
+        return true;
+    }
+
+
+
+    /**
+     * Returns how many milliseconds are left until the key expires
+     * @param {String} key - Name of key or its path separated by dots
+     * @param {String} fileName - File name (Optional)
+     * @return {Number} - Returns -1 if the key doesn't expire and -2 if there is no such key
+     * @example
+     * 
+     * Database.set("cooldowns.123", true, { ttl: 5000 });
+     * 
+     * Database.ttl("cooldowns.123") // 5000
+     * Database.ttl("hello") // -1
+     * Database.ttl("there is no such key") // -2
+     */
+
+    ttl(key, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!key) throw new DatabaseError("key value is missing", missingInput);
+        if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const file = this._getFile(fileName);
+        const { parent, last, rootKey } = resolveKey(file, key);
+        const expiresAt = this._getExpiry(fileName, key);
+
+        const result = parent === undefined || !Object.hasOwn(parent, last) ? -2 : expiresAt === undefined ? -1 : Math.max(expiresAt - Date.now(), 0);
+
+        this.emit("ttl", { fileName, file, key, rootKey, result });
+        return result;
+    }
+
+
+
+    /**
+     * Removes the expiry time of the key, so it is never deleted
+     * @param {String} key - Name of key or its path separated by dots
+     * @param {String} fileName - File name (Optional)
+     * @return {Boolean} - Returns false if the key didn't have an expiry time
+     * @example
+     * 
+     * Database.set("bans.123", "Spamming", { ttl: 60 * 60 * 1000 });
+     * 
+     * // The ban is now permanent
+     * Database.persist("bans.123") // true
+     */
+
+    persist(key, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!key) throw new DatabaseError("key value is missing", missingInput);
+        if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
-        if (Array.isArray(input)) input = Object.fromEntries(input);
+        const file = this._getFile(fileName);
+        const result = this._getExpiry(fileName, key) !== undefined;
+        this._setExpiry(fileName, key, undefined);
 
-        this.emit("setFile", { fileName, file: input, input });
-        this._writeAndCache(fileName, input);
-        return input;
+        this.emit("persist", { fileName, file, key, result });
+        return result;
     }
 
 
@@ -422,7 +3269,7 @@ export default class Database {
 
     /**
      * Pulls specified data from JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {any} defaultValue - If there is no such data, the default data to return
      * @param {String} fileName - File name (Optional)
      * @return {any|undefined}
@@ -448,10 +3295,12 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
+        const { parent, last, rootKey } = resolveKey(file, key);
+        const isFound = parent !== undefined && Object.hasOwn(parent, last);
 
-        const value = key in file ? file[key] : defaultValue;
+        const value = isFound ? parent[last] : defaultValue;
 
-        this.emit("get", { fileName, file, key, isFound: key in file, rawData: file[key], value });
+        this.emit("get", { fileName, file, key, rootKey, isFound, rawData: isFound ? parent[last] : undefined, value });
         return value;
     }
 
@@ -459,7 +3308,7 @@ export default class Database {
 
     /**
      * Pulls multiple specified data from JSON file
-     * @param {Array<String>} keys - Keys
+     * @param {Array<String>} keys - Keys (Paths separated by dots can be used too)
      * @param {any} defaultValue - Default data to be returned if no data is available
      * @param {String} fileName - File name (Optional)
      * @return {any|Object}
@@ -501,8 +3350,9 @@ export default class Database {
         const result = {};
 
         keys.forEach(key => {
-            if (key in file) {
-                result[key] = file[key];
+            const { parent, last } = resolveKey(file, key);
+            if (parent !== undefined && Object.hasOwn(parent, last)) {
+                result[key] = parent[last];
                 isFound = true;
             }
         });
@@ -549,6 +3399,7 @@ export default class Database {
     /**
      * Pulls the key corresponding to the specified value from the JSON file
      * @param {Array<any>|Object|String|null|Number} value - Name of value
+     * @param {any} defaultValue - If there is no such data, the default data to return
      * @param {String} fileName - File name (Optional)
      * @return {String|any|undefined}
      * @example
@@ -572,13 +3423,42 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const rawResult = Object.entries(file).find(([_, value_1]) => sameValue(value, value_1));
-        const values = rawResult ? rawResult[0] : defaultValue;
+        const key = this._keysOfValue(fileName, file, value, false)[0];
+        const rawResult = key !== undefined ? [key, file[key]] : undefined;
+        const values = key !== undefined ? key : defaultValue;
 
         this.emit("getFromValue", { fileName, file, value, rawData: rawResult, values });
         return values;
     }
 
+    /**
+     * Pulls all of the keys corresponding to the specified value from the JSON file
+     * @param {Array<any>|Object|String|null|Number} value - Name of value
+     * @param {String} fileName - File name (Optional)
+     * @return {Array<String>} - Returns an empty Array if no key has the value
+     * @example
+     * 
+     * // First, let's print some data to the database
+     * Database.setMany({ hello: "World", hi: "World", ali: "King" });
+     * 
+     * // Returns all of the keys that have the value
+     * Database.getAllFromValue("World") // ["hello", "hi"]
+     * 
+     * Database.getAllFromValue("Queen") // []
+     */
+
+    getAllFromValue(value, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!value) throw new DatabaseError("value value is missing", missingInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const file = this._getFile(fileName);
+        const keys = this._keysOfValue(fileName, file, value, true);
+
+        this.emit("getAllFromValue", { fileName, file, value, rawData: keys.map(key => [key, file[key]]), keys });
+        return keys;
+    }
+
     /**
      * Pulls keys corresponding to specified value values from JSON file
      * @param {Array<any>} values - Values
@@ -623,7 +3503,7 @@ export default class Database {
         const result = [];
 
         values.forEach(value => {
-            const key = Object.entries(file).find(([_, value_1]) => sameValue(value, value_1))?.[0];
+            const key = this._keysOfValue(fileName, file, value, false)[0];
             if (key) result.push(key);
         });
         const res = result.length > 0 ? (result.length == 1 ? result[0] : result) : defaultValue;
@@ -641,7 +3521,7 @@ export default class Database {
 
     /**
      * Checks if the specified key from the JSON file exists
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {String} fileName - File name (Optional)
      * @return {Boolean}
      * @example
@@ -663,16 +3543,17 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const hasKey = key in file;
+        const { parent, last, rootKey } = resolveKey(file, key);
+        const hasKey = parent !== undefined && Object.hasOwn(parent, last);
 
-        this.emit("has", { fileName, file, key, result: hasKey });
+        this.emit("has", { fileName, file, key, rootKey, result: hasKey });
         return hasKey;
     }
 
 
     /**
      * Checks if at least one of the specified key values from the JSON file exists
-     * @param {Array<String>} keys - Keys
+     * @param {Array<String>} keys - Keys (Paths separated by dots can be used too)
      * @param {String} fileName - File name (Optional)
      * @return {Boolean}
      * @example
@@ -706,7 +3587,8 @@ export default class Database {
         let foundedKey;
         const file = this._getFile(fileName);
         const hasKey = keys.some(key => {
-            foundedKey = key in file ? key : undefined;
+            const { parent, last } = resolveKey(file, key);
+            foundedKey = parent !== undefined && Object.hasOwn(parent, last) ? key : undefined;
             return foundedKey;
         });
 
@@ -718,7 +3600,7 @@ export default class Database {
 
     /**
      * Checks if all of the key values specified from the JSON file are present
-     * @param {Array<String>} keys - Keys
+     * @param {Array<String>} keys - Keys (Paths separated by dots can be used too)
      * @param {String} fileName - File name (Optional)
      * @return {Boolean}
      * @example
@@ -750,7 +3632,10 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const hasKey = keys.every(key => key in file);
+        const hasKey = keys.every(key => {
+            const { parent, last } = resolveKey(file, key);
+            return parent !== undefined && Object.hasOwn(parent, last);
+        });
 
         this.emit("hasAll", { fileName, file, keys, result: hasKey });
         return hasKey;
@@ -781,7 +3666,7 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const hasValue = Object.values(file).some(value_1 => sameValue(value, value_1));
+        const hasValue = this._keysOfValue(fileName, file, value, false).length > 0;
 
         this.emit("hasValue", { fileName, file, value, result: hasValue });
         return hasValue;
@@ -826,8 +3711,7 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const fileValues = Object.values(file);
-        const hasValue = values.some(value => fileValues.some(value_1 => sameValue(value, value_1)));
+        const hasValue = values.some(value => this._keysOfValue(fileName, file, value, false).length > 0);
 
         this.emit("hasAnyValue", { fileName, file, values, result: hasValue });
         return hasValue;
@@ -869,8 +3753,7 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const fileValues = Object.values(file);
-        const hasValue = values.every(value => fileValues.some(value_1 => sameValue(value, value_1)));
+        const hasValue = values.every(value => this._keysOfValue(fileName, file, value, false).length > 0);
 
         this.emit("hasAllValue", { fileName, file, values, result: hasValue });
         return hasValue;
@@ -925,6 +3808,12 @@ export default class Database {
      * Database.emit("get", { key: "hello" }); // Emits the event with the payload
      */
     emit(event, payload) {
+        // Events of a transaction are emitted after it is committed
+        if (this.#transaction) {
+            this.#transaction.events.push([event, payload]);
+            return this;
+        }
+
         for (const listener of this.#listeners.get(event) || []) {
             try {
                 listener(payload);
@@ -938,7 +3827,7 @@ export default class Database {
 
     /**
      * Returns the first data you define from the JSON file 
-     * @param {(key: String, value: any, index: Number, thisArgs: Array<any>) => {}} callback - for the find function
+     * @param {((key: String, value: any, index: Number, thisArgs: Array<any>) => {})|Object<String, any>} callback - for the find function (Or a query object that is checked against { key, value } of each data)
      * @param {String} fileName - File name (Optional)
      * @return {any}
      * @example
@@ -968,19 +3857,22 @@ export default class Database {
      *   return Array.isArray(value);
      * 
      * }) // undefined
+     * 
+     * // Query objects can be used instead of a function
+     * Database.find({ key: { $regex: "^ali" }, value: { $ne: "World" } }) // "King"
      */
 
     find(callback, fileName = this.#DEFAULT_FILE_NAME) {
-        if (typeof callback != "function") throw new DatabaseError("callback value must be a function value", invalidInput);
+        const match = toCallback(callback);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const entries = Object.entries(file);
+        const entries = this._queryEntries(fileName, file, callback);
 
         for (let i = 0; i < entries.length; i++) {
             const [key, value] = entries[i];
-            if (callback(key, value, i, entries)) {
+            if (match(key, value, i, entries)) {
                 this.emit("find", { fileName, file, key, value, isFound: true });
                 return value;
             }
@@ -994,7 +3886,7 @@ export default class Database {
 
     /**
      * Returns the data you define from the JSON file, filtering it 
-     * @param {(key: String, value: any, index: Number, thisArgs: Array<any> ) => {}} callback - for the filter function
+     * @param {((key: String, value: any, index: Number, thisArgs: Array<any> ) => {})|Object<String, any>} callback - for the filter function (Or a query object that is checked against { key, value } of each data)
      * @param {String} fileName - File name (Optional)
      * @return {Object}
      * @example
@@ -1024,22 +3916,28 @@ export default class Database {
      *   return Array.isArray(value);
      * 
      * }) // {}
+     * 
+     * // Query objects can be used instead of a function, paths of the value can be used too
+     * Database.filter({ "value.level": { $gte: 10 }, "value.tags": { $in: ["vip"] } })
+     * 
+     * // Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex, $and, $or and $not
+     * Database.filter({ $or: [{ key: "ali" }, { value: { $exists: false } }] })
      */
 
     filter(callback, fileName = this.#DEFAULT_FILE_NAME) {
-        if (typeof callback != "function") throw new DatabaseError("callback value must be a function value", invalidInput);
+        const match = toCallback(callback);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const entries = Object.entries(file);
+        const entries = this._queryEntries(fileName, file, callback);
 
         /** @type {Object<string, any>} */
         const result = {};
 
         for (let i = 0; i < entries.length; i++) {
             const [key, value] = entries[i];
-            if (callback(key, value, i, entries)) result[key] = value;
+            if (match(key, value, i, entries)) result[key] = value;
         }
 
         this.emit("filter", { fileName, file, result });
@@ -1302,7 +4200,7 @@ export default class Database {
                 this.emit("findAndDelete", { fileName, file, key, value, isFound: true });
 
                 delete file[key];
-                this._writeAndCache(fileName, file);
+                this._writeAndCache(fileName, file, { op: "findAndDelete", keys: [key] });
                 return value;
             }
         }
@@ -1315,7 +4213,7 @@ export default class Database {
 
     /**
      * Deletes all the data you defined from the JSON file
-     * @param {(key: String, value: any, index: Number, thisArgs: Array<any> ) => {}} callback - for the filter function
+     * @param {((key: String, value: any, index: Number, thisArgs: Array<any> ) => {})|Object<String, any>} callback - for the filter function (Or a query object that is checked against { key, value } of each data)
      * @param {Number} limit - Limit value (Optional)
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1338,41 +4236,443 @@ export default class Database {
      *   // Find and delete all data containing the word "ali" in the key data of the object
      *   return key.includes("ali");
      * 
-     * }) // [{ ali: "King" }, { aliv2: ["heyy"] }]
+     * }) // [{ ali: "King" }, { aliv2: ["heyy"] }]
+     * 
+     * // File no longer contains "ali" and "aliv2" data
+     * 
+     * // Query objects can be used instead of a function
+     * Database.filterAndDelete({ "value.expiresAt": { $lt: Date.now() } })
+     */
+
+    filterAndDelete(callback, limit = Infinity, fileName = this.#DEFAULT_FILE_NAME) {
+        const match = toCallback(callback);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        limit = Number(limit);
+        if (isNaN(limit)) throw new DatabaseError("limit value must be a number", invalidInput);
+        if (limit < 0) throw new DatabaseError("limit value must be greater than or equal to 0", negativeNumber);
+
+        const file = this._getFile(fileName);
+
+        if (limit === 0) {
+            this.emit("filterAndDelete", { fileName, file, limit, result: [] });
+            return [];
+        }
+
+        const entries = this._queryEntries(fileName, file, callback);
+        const result = [];
+        const deletedKeys = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            const [key, value] = entries[i];
+            if (match(key, value, i, entries)) {
+                result.push(value);
+                deletedKeys.push(key);
+                delete file[key];
+                if (result.length === limit) break;
+            }
+        }
+
+        this.emit("filterAndDelete", { fileName, file, limit, result });
+        this._writeAndCache(fileName, file, { op: "filterAndDelete", keys: deletedKeys });
+        return result;
+    }
+
+
+
+    /**
+     * Returns the entries that match the conditions, sorted, paginated and with only the fields you want
+     * 
+     * Paths of sort and fields are used on the { key, value } of each entry, like in query objects
+     * @param {Object} options - Options
+     * @param {Function|Object<String, any>|Array<Function|Object<String, any>>} [options.where] - Callback or query object that the entries must match (All of them must match if an Array is entered)
+     * @param {Object<String, 1|-1|"asc"|"desc">} [options.sort] - Paths to sort by, in order of priority (Entries that don't have the path are placed at the end)
+     * @param {Number} [options.skip=0] - Number of entries to skip
+     * @param {Number} [options.limit=Infinity] - Maximum number of entries to return
+     * @param {Array<String>} [options.fields] - Paths to keep in the returned entries (The key is always kept)
+     * @param {String} fileName - File name (Optional)
+     * @return {{ total: Number, results: Array<{ key: String, value: any }> }} - total is the number of entries that matched before skip and limit
+     * @example
+     * 
+     * // First, let's print some data to the database
+     * Database.setMany(
+     *  { 
+     *   ali: { coins: 50, level: 3 }, 
+     *   fearless: { coins: 120, level: 9 }, 
+     *   alisa: { coins: 80, level: 5 }
+     *  }
+     * );
+     * 
+     * // Second page of the leaderboard with 1 user per page
+     * Database.select({ sort: { "value.coins": -1 }, skip: 1, limit: 1, fields: ["value.coins"] })
+     * // { total: 3, results: [{ key: "alisa", value: { coins: 80 } }] }
+     * 
+     * // Use Database.query() to build the same query with chained methods
+     */
+
+    select(options = {}, fileName = this.#DEFAULT_FILE_NAME) {
+        if (Object.prototype.toString.call(options) != "[object Object]") throw new DatabaseError("options value must be an Object", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const { where = [], sort = {}, fields } = options;
+        const callbacks = (Array.isArray(where) ? where : [where]).map(toCallback);
+
+        const skip = Number(options.skip ?? 0);
+        const limit = Number(options.limit ?? Infinity);
+        if (isNaN(skip) || isNaN(limit)) throw new DatabaseError("skip and limit values must be a number", invalidInput);
+        if (skip < 0 || limit < 0) throw new DatabaseError("skip and limit values must be greater than or equal to 0", negativeNumber);
+
+        if (Object.prototype.toString.call(sort) != "[object Object]") throw new DatabaseError("sort value must be an Object", invalidInput);
+        const sortBy = Object.entries(sort).map(([path, order]) => {
+            if (![1, -1, "asc", "desc"].includes(order)) throw new DatabaseError(`Order of "${path}" must be 1, -1, "asc" or "desc"`, invalidInput);
+            return { path, order: order == -1 || order == "desc" ? -1 : 1 };
+        });
+
+        if (fields !== undefined && !Array.isArray(fields)) throw new DatabaseError("fields value must be an Array", invalidInput);
+
+        const file = this._getFile(fileName);
+        const entries = this._queryEntries(fileName, file, where);
+
+        /** @type {Array<{ key: String, value: any }>} */
+        let results = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            const [key, value] = entries[i];
+            if (callbacks.every(callback => callback(key, value, i, entries))) results.push({ key, value });
+        }
+
+        const total = results.length;
+
+        if (sortBy.length) {
+            results.sort((entry1, entry2) => {
+                for (const { path, order } of sortBy) {
+                    const value1 = getKey(entry1, path);
+                    const value2 = getKey(entry2, path);
+
+                    // Missing values are placed at the end in both orders
+                    if (value1 === undefined || value2 === undefined) {
+                        if (value1 !== value2) return value1 === undefined ? 1 : -1;
+                        continue;
+                    }
+
+                    const result = compareValues(value1, value2);
+                    if (result) return result * order;
+                }
+                return 0;
+            });
+        }
+
+        results = results.slice(skip, skip + limit);
+
+        if (fields) {
+            results = results.map(entry => {
+                /** @type {Object<String, any>} */
+                const picked = {};
+
+                for (const field of fields) {
+                    const { parent, last } = resolveKey(entry, field);
+                    if (parent === undefined || !Object.hasOwn(parent, last)) continue;
+
+                    const target = resolveKey(picked, field, true);
+                    target.parent[target.last] = parent[last];
+                }
+
+                return { key: entry.key, value: picked.value };
+            });
+        }
+
+        this.emit("select", { fileName, file, options, total, results });
+        return { total, results };
+    }
+
+
+
+    /**
+     * Creates a chainable query for the file, the query is run with .run()
+     * @param {String} fileName - File name (Optional)
+     * @return {QueryBuilder}
+     * @example
+     * 
+     * // Top 10 users with at least 10 levels, sorted by their coins
+     * Database.query()
+     *   .where({ "value.level": { $gte: 10 } })
+     *   .sort("value.coins", "desc")
+     *   .skip(0)
+     *   .limit(10)
+     *   .fields("value.coins", "value.level")
+     *   .run() // { total: 25, results: [{ key: "fearless", value: { coins: 120, level: 12 } }, ...] }
+     * 
+     * // Queries can be run on other files too
+     * Database.query("guilds").where((key, value) => value.premium).run();
+     */
+
+    query(fileName = this.#DEFAULT_FILE_NAME) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        return new QueryBuilder(this, fileName);
+    }
+
+
+
+    /**
+     * Creates an index of a path of the entries, so query objects that look up this path don't have to check every entry
+     * 
+     * The index is kept up to date by every method that changes the file. Equality and $in conditions of find, filter, filterAndDelete, select and the aggregation methods use it
+     * @param {String} path - Path of the entry (For example "value.email")
+     * @param {Object} options - Options (Optional)
+     * @param {Boolean} [options.unique=false] - Rejects changes that give two entries the same value with a duplicateValue error
+     * @param {String} [options.fileName] - File name
+     * @return {Boolean}
+     * @example
+     * 
+     * // Users can now be found by their emails without checking every user
+     * Database.createIndex("value.email", { unique: true });
+     * Database.find({ "value.email": "ali@example.com" });
+     * 
+     * // Throws a DatabaseError because another user has this email
+     * Database.set("fearless", { email: "ali@example.com" });
+     * 
+     * // The index of "value" is a reverse index from values to keys, getFromValue, getAllFromValue, getManyFromValue, hasValue, hasAnyValue and hasAllValue use it
+     * Database.createIndex("value", { fileName: "roles" });
+     * Database.getAllFromValue("admin", "roles") // ["ali", "fearless"]
+     */
+
+    createIndex(path, { unique = false, fileName = this.#DEFAULT_FILE_NAME } = {}) {
+        if (!path) throw new DatabaseError("path value is missing", missingInput);
+        if (typeof path != "string") throw new DatabaseError("path value must be a string", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        fileName = removeJsonAtEnd(fileName);
+        const file = this._getFile(fileName);
+
+        /** @type {Index} */
+        const index = { path, unique: Boolean(unique), file: null, values: new Map(), keys: new Map() };
+        buildIndex(index, file, true);
+
+        const indexes = this.#indexes.get(fileName) || new Map();
+        indexes.set(path, index);
+        this.#indexes.set(fileName, indexes);
+
+        this.emit("createIndex", { fileName, file, path, unique: index.unique });
+        return true;
+    }
+
+
+
+    /**
+     * Deletes the index of a path
+     * @param {String} path - Path of the entry
+     * @param {String} fileName - File name (Optional)
+     * @return {Boolean} - Returns false if there is no such index
+     * @example
+     * 
+     * Database.dropIndex("value.email");
+     */
+
+    dropIndex(path, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!path) throw new DatabaseError("path value is missing", missingInput);
+        if (typeof path != "string") throw new DatabaseError("path value must be a string", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        fileName = removeJsonAtEnd(fileName);
+        const indexes = this.#indexes.get(fileName);
+        if (!indexes?.delete(path)) return false;
+
+        if (!indexes.size) this.#indexes.delete(fileName);
+        this.emit("dropIndex", { fileName, path });
+        return true;
+    }
+
+
+
+    /**
+     * Returns the number of entries in the JSON file
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {Number}
+     * @example
+     * 
+     * // First, let's print some data to the database
+     * Database.setMany(
+     *  { 
+     *   ali: { coins: 50, team: "red" }, 
+     *   fearless: { coins: 120, team: "blue" }, 
+     *   alisa: { coins: "a lot", team: "red" }
+     *  }
+     * );
+     * 
+     * // Number of all entries
+     * Database.count() // 3
+     * 
+     * // Number of the entries that match the query
+     * Database.count({ "value.team": "red" }) // 2
+     */
+
+    count(where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        const { file, entries } = this._aggregate(fileName, where);
+
+        this.emit("count", { fileName, file, where, result: entries.length });
+        return entries.length;
+    }
+
+
+
+    /**
+     * Returns the sum of the numbers at the path of the entries, values that aren't numbers are skipped
+     * @param {String} path - Path of the entry (For example "value.coins")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {Number}
+     * @example
+     * 
+     * // With the data of the .count() example
+     * Database.sum("value.coins") // 170 ("a lot" is skipped)
+     * 
+     * Database.sum("value.coins", { "value.team": "red" }) // 50
+     */
+
+    sum(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        const { file, numbers } = this._aggregateNumbers(path, fileName, where);
+        const result = numbers.reduce((total, { value }) => total + value, 0);
+
+        this.emit("sum", { fileName, file, path, where, result });
+        return result;
+    }
+
+
+
+    /**
+     * Returns the average of the numbers at the path of the entries, values that aren't numbers are skipped
+     * @param {String} path - Path of the entry (For example "value.coins")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {Number|undefined} - Returns undefined if there are no numbers
+     * @example
+     * 
+     * // With the data of the .count() example
+     * Database.avg("value.coins") // 85
+     */
+
+    avg(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        const { file, numbers } = this._aggregateNumbers(path, fileName, where);
+        const result = numbers.length ? numbers.reduce((total, { value }) => total + value, 0) / numbers.length : undefined;
+
+        this.emit("avg", { fileName, file, path, where, result });
+        return result;
+    }
+
+
+
+    /**
+     * Returns the key of the entry with the smallest number at the path, values that aren't numbers are skipped
+     * @param {String} path - Path of the entry (For example "value.coins")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {String|undefined} - Returns undefined if there are no numbers
+     * @example
+     * 
+     * // With the data of the .count() example
+     * Database.min("value.coins") // "ali"
+     */
+
+    min(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        const { file, numbers } = this._aggregateNumbers(path, fileName, where);
+        const winner = numbers.reduce((winner, entry) => !winner || entry.value < winner.value ? entry : winner, undefined);
+
+        this.emit("min", { fileName, file, path, where, result: winner?.key, value: winner?.value });
+        return winner?.key;
+    }
+
+
+
+    /**
+     * Returns the key of the entry with the biggest number at the path, values that aren't numbers are skipped
+     * @param {String} path - Path of the entry (For example "value.coins")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {String|undefined} - Returns undefined if there are no numbers
+     * @example
+     * 
+     * // With the data of the .count() example
+     * Database.max("value.coins") // "fearless"
+     */
+
+    max(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        const { file, numbers } = this._aggregateNumbers(path, fileName, where);
+        const winner = numbers.reduce((winner, entry) => !winner || entry.value > winner.value ? entry : winner, undefined);
+
+        this.emit("max", { fileName, file, path, where, result: winner?.key, value: winner?.value });
+        return winner?.key;
+    }
+
+
+
+    /**
+     * Returns the different values at the path of the entries, entries that don't have the path are skipped
+     * @param {String} path - Path of the entry (For example "value.team")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {Array<any>}
+     * @example
+     * 
+     * // With the data of the .count() example
+     * Database.distinct("value.team") // ["red", "blue"]
+     */
+
+    distinct(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!path) throw new DatabaseError("path value is missing", missingInput);
+        if (typeof path != "string") throw new DatabaseError("path value must be a string", invalidInput);
+
+        const { file, entries } = this._aggregate(fileName, where);
+        const result = [];
+
+        for (const entry of entries) {
+            const value = getKey(entry, path);
+            if (value !== undefined && !result.some(item => sameValue(item, value))) result.push(value);
+        }
+
+        this.emit("distinct", { fileName, file, path, where, result });
+        return result;
+    }
+
+
+
+    /**
+     * Groups the entries by the value at the path, entries that don't have the path are skipped
+     * 
+     * The groups are objects without a prototype, so values like "__proto__" or "constructor" are groups like any other value
+     * @param {String} path - Path of the entry (For example "value.team")
+     * @param {Function|Object<String, any>} where - Callback or query object that the entries must match (Optional)
+     * @param {String} fileName - File name (Optional)
+     * @return {Object<String, Object<String, any>>}
+     * @example
      * 
-     * // File no longer contains "ali" and "aliv2" data
+     * // With the data of the .count() example
+     * Database.groupBy("value.team")
+     * // { red: { ali: { coins: 50, team: "red" }, alisa: { coins: "a lot", team: "red" } }, blue: { fearless: { coins: 120, team: "blue" } } }
      */
 
-    filterAndDelete(callback, limit = Infinity, fileName = this.#DEFAULT_FILE_NAME) {
-        if (typeof callback != "function") throw new DatabaseError("callback value must be a function value", invalidInput);
-
-        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
-
-        limit = Number(limit);
-        if (isNaN(limit)) throw new DatabaseError("limit value must be a number", invalidInput);
-        if (limit < 0) throw new DatabaseError("limit value must be greater than or equal to 0", negativeNumber);
+    groupBy(path, where = undefined, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!path) throw new DatabaseError("path value is missing", missingInput);
+        if (typeof path != "string") throw new DatabaseError("path value must be a string", invalidInput);
 
-        const file = this._getFile(fileName);
+        const { file, entries } = this._aggregate(fileName, where);
 
-        if (limit === 0) {
-            this.emit("filterAndDelete", { fileName, file, limit, result: [] });
-            return [];
-        }
+        /** @type {Object<String, Object<String, any>>} */
+        const result = Object.create(null);
 
-        const entries = Object.entries(file);
-        const result = [];
+        for (const entry of entries) {
+            const value = getKey(entry, path);
+            if (value === undefined) continue;
 
-        for (let i = 0; i < entries.length; i++) {
-            const [key, value] = entries[i];
-            if (callback(key, value, i, entries)) {
-                result.push(value);
-                delete file[key];
-                if (result.length === limit) break;
-            }
+            (result[typeof value == "object" ? stringify(value) : String(value)] ??= Object.create(null))[entry.key] = entry.value;
         }
 
-        this.emit("filterAndDelete", { fileName, file, limit, result });
-        this._writeAndCache(fileName, file);
+        this.emit("groupBy", { fileName, file, path, where, result });
         return result;
     }
 
@@ -1385,7 +4685,7 @@ export default class Database {
 
     /**
      * Delete data from JSON file 
-     * @param {String} key - The name of the key to be deleted
+     * @param {String} key - The name of the key to be deleted or its path separated by dots
      * @param {String} fileName - File name (Optional)
      * @return {Object|undefined}
      * @example
@@ -1411,16 +4711,17 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        if (!(key in file)) {
-            this.emit("delete", { fileName, file, key, isFound: false });
+        const { parent, last, rootKey } = resolveKey(file, key);
+        if (parent === undefined || !Object.hasOwn(parent, last)) {
+            this.emit("delete", { fileName, file, key, rootKey, isFound: false });
             return undefined;
         }
 
-        const value = file[key];
-        delete file[key];
+        const value = parent[last];
+        deleteKey(parent, last);
 
-        this.emit("delete", { fileName, file, key, value, isFound: true });
-        this._writeAndCache(fileName, file);
+        this.emit("delete", { fileName, file, key, rootKey, value, isFound: true });
+        this._writeAndCache(fileName, file, { op: "delete", keys: [rootKey] });
         return value;
     }
 
@@ -1428,7 +4729,7 @@ export default class Database {
 
     /**
      * You delete multiple data from JSON file 
-     * @param {Array<String>} keys - Keys
+     * @param {Array<String>} keys - Keys (Paths separated by dots can be used too)
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
      * @example
@@ -1455,17 +4756,19 @@ export default class Database {
 
         const file = this._getFile(fileName);
         const result = [];
+        const rootKeys = [];
 
         for (let i = 0; i < keys.length; i++) {
-            const key = keys[i];
-            if (key in file) {
-                result.push(file[key]);
-                delete file[key];
+            const { parent, last, rootKey } = resolveKey(file, keys[i]);
+            if (parent !== undefined && Object.hasOwn(parent, last)) {
+                result.push(parent[last]);
+                deleteKey(parent, last);
             }
+            rootKeys.push(rootKey);
         }
 
         this.emit("deleteMany", { fileName, file, keys, result });
-        this._writeAndCache(fileName, file);
+        this._writeAndCache(fileName, file, { op: "deleteMany", keys: rootKeys });
         return result;
     }
 
@@ -1499,7 +4802,7 @@ export default class Database {
         const file = this._getFile(fileName);
         this.emit("deleteAll", { fileName, file, beforeFile: file });
 
-        this._writeAndCache(fileName, newValue);
+        this._writeAndCache(fileName, newValue, { op: "deleteAll" });
         return newValue;
     }
 
@@ -1512,7 +4815,7 @@ export default class Database {
 
     /**
      * Adds a new data to the end of the Array of data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Array<any>|Object|String|null|Number} item - Data to add
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1543,14 +4846,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The data of the data must be an Array value", notArray);
 
         data.push(item);
 
-        this.emit("push", { fileName, file, key, item, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("push", { fileName, file, key, rootKey, item, result: data });
+        this._writeAndCache(fileName, file, { op: "push", keys: [rootKey] });
         return data;
     }
 
@@ -1558,7 +4862,7 @@ export default class Database {
 
     /**
      * Adds multiple data to the end of Array of data in JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Array<any>} values - Data to add
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1590,14 +4894,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The values of the data must be an Array value", notArray);
 
         data.push(...values);
 
-        this.emit("pushAll", { fileName, file, key, values, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("pushAll", { fileName, file, key, rootKey, values, result: data });
+        this._writeAndCache(fileName, file, { op: "pushAll", keys: [rootKey] });
         return data;
     }
 
@@ -1605,7 +4910,7 @@ export default class Database {
 
     /**
      * Deletes the data in the JSON file at the very end of the Array
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - Number of data to be deleted 
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1641,14 +4946,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The values of the data must be an Array value", notArray);
 
         const deletedValues = data.splice(-number);
 
-        this.emit("pop", { fileName, file, key, number, deletedValues, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("pop", { fileName, file, key, rootKey, number, deletedValues, result: data });
+        this._writeAndCache(fileName, file, { op: "pop", keys: [rootKey] });
         return deletedValues;
     }
 
@@ -1656,7 +4962,7 @@ export default class Database {
 
     /**
      * Adds a new data to the beginning of the Array of data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Array<any>|Object|String|null|Number} item - Data to add
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1687,14 +4993,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The values of the data must be an Array value", notArray);
 
         data.unshift(item);
 
-        this.emit("unshift", { fileName, file, key, item, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("unshift", { fileName, file, key, rootKey, item, result: data });
+        this._writeAndCache(fileName, file, { op: "unshift", keys: [rootKey] });
         return data;
     }
 
@@ -1702,7 +5009,7 @@ export default class Database {
 
     /**
      * Adds multiple data to the top of Array of data in JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Array<any>} values - Data to add
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1734,14 +5041,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The values of the data must be an Array value", notArray);
 
         data.unshift(...values);
 
-        this.emit("unshiftAll", { fileName, file, key, values, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("unshiftAll", { fileName, file, key, rootKey, values, result: data });
+        this._writeAndCache(fileName, file, { op: "unshiftAll", keys: [rootKey] });
         return data;
     }
 
@@ -1749,7 +5057,7 @@ export default class Database {
 
     /**
      * Erases the initial data of the Array of data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - Number of data to be deleted 
      * @param {String} fileName - File name (Optional)
      * @return {Array<any>}
@@ -1785,14 +5093,15 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        const data = file[key] ??= [];
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        const data = parent[last] ??= [];
 
         if (!Array.isArray(data)) throw new DatabaseError("The values of the data must be an Array value", notArray);
 
         const deletedValues = data.splice(0, number);
 
-        this.emit("shift", { fileName, file, key, number, deletedValues, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("shift", { fileName, file, key, rootKey, number, deletedValues, result: data });
+        this._writeAndCache(fileName, file, { op: "shift", keys: [rootKey] });
         return deletedValues;
     }
 
@@ -1805,7 +5114,7 @@ export default class Database {
 
     /**
      * Increments the value of the data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - Number to add to data 
      * @param {String} fileName - File name (Optional)
      * @return {Number}
@@ -1832,21 +5141,23 @@ export default class Database {
         if (!key) throw new DatabaseError("key value is missing", missingInput);
         if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
 
+        if (typeof number == "bigint") throw new DatabaseError("number value must be a number value", notNumber);
         if (typeof number != "number") number = parseFloat(number);
         if (isNaN(number)) throw new DatabaseError("number value must be a number value", notNumber);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        let data = file[key] ??= 0;
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        let data = parent[last] ??= 0;
 
-        if (isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
+        if (typeof data != "number" || isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
 
         data += number;
-        file[key] = data;
+        parent[last] = data;
 
-        this.emit("add", { fileName, file, key, number, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("add", { fileName, file, key, rootKey, number, result: data });
+        this._writeAndCache(fileName, file, { op: "add", keys: [rootKey] });
         return data;
     }
 
@@ -1854,7 +5165,7 @@ export default class Database {
 
     /**
      * Decreases the value of the data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - Number to subtract from data 
      * @param {Boolean} goToNegative - Can the resulting number be less than 0?
      * @param {String} fileName - File name (Optional)
@@ -1882,22 +5193,24 @@ export default class Database {
         if (!key) throw new DatabaseError("key value is missing", missingInput);
         if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
 
+        if (typeof number == "bigint") throw new DatabaseError("number value must be a number value", notNumber);
         if (typeof number != "number") number = parseFloat(number);
         if (isNaN(number)) throw new DatabaseError("number value must be a number value", notNumber);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        let data = file[key] ??= 0;
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        let data = parent[last] ??= 0;
 
-        if (isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
+        if (typeof data != "number" || isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
 
         data -= number;
         if (!goToNegative && data < 0) data = 0;
-        file[key] = data;
+        parent[last] = data;
 
-        this.emit("substr", { fileName, file, key, number, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("substr", { fileName, file, key, rootKey, number, result: data });
+        this._writeAndCache(fileName, file, { op: "substr", keys: [rootKey] });
         return data;
     }
 
@@ -1905,7 +5218,7 @@ export default class Database {
 
     /**
      * Multiplies the value of the data in the JSON file by the value you enter
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - The number to be multiplied by the data
      * @param {String} fileName - File name (Optional)
      * @return {Number}
@@ -1932,21 +5245,23 @@ export default class Database {
         if (!key) throw new DatabaseError("key value is missing", missingInput);
         if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
 
+        if (typeof number == "bigint") throw new DatabaseError("number value must be a number value", notNumber);
         if (typeof number != "number") number = parseFloat(number);
         if (isNaN(number)) throw new DatabaseError("number value must be a number value", notNumber);
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        let data = file[key] ??= 0;
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        let data = parent[last] ??= 0;
 
-        if (isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
+        if (typeof data != "number" || isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
 
         data *= number;
-        file[key] = data;
+        parent[last] = data;
 
-        this.emit("multi", { fileName, file, key, number, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("multi", { fileName, file, key, rootKey, number, result: data });
+        this._writeAndCache(fileName, file, { op: "multi", keys: [rootKey] });
         return data;
     }
 
@@ -1954,7 +5269,7 @@ export default class Database {
 
     /**
      * Divides the value of the data in the JSON file by the value you enter
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {Number} number - Number to divide by data 
      * @param {Boolean} goToDecimal - Can the resulting number be an decimal?
      * @param {String} fileName - File name (Optional)
@@ -1982,6 +5297,7 @@ export default class Database {
         if (!key) throw new DatabaseError("key value is missing", missingInput);
         if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
 
+        if (typeof number == "bigint") throw new DatabaseError("number value must be a number value", notNumber);
         if (typeof number != "number") number = parseFloat(number);
         if (isNaN(number)) throw new DatabaseError("number value must be a number value", notNumber);
         if (number === 0) throw new DatabaseError("number value must be greater than 0", zeroNumber);
@@ -1989,16 +5305,17 @@ export default class Database {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
         const file = this._getFile(fileName);
-        let data = file[key] ??= 0;
+        const { parent, last, rootKey } = this._resolveChange(fileName, file, key);
+        let data = parent[last] ??= 0;
 
-        if (isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
+        if (typeof data != "number" || isNaN(data)) throw new DatabaseError("The value of the data must be a Number", notNumber);
 
         data /= number;
         if (!goToDecimal) data = Math.floor(data);
-        file[key] = data;
+        parent[last] = data;
 
-        this.emit("division", { fileName, file, key, number, result: data });
-        this._writeAndCache(fileName, file);
+        this.emit("division", { fileName, file, key, rootKey, number, result: data });
+        this._writeAndCache(fileName, file, { op: "division", keys: [rootKey] });
         return data;
     }
 
@@ -2072,6 +5389,168 @@ export default class Database {
 
 
 
+    /**
+     * Turns all data in the JSON file into YAML, NDJSON (A `{ "key": ..., "value": ... }` object on each line) or CSV
+     * 
+     * In CSV, the key is in the "key" column and objects are flattened into a column for each of their paths like "value.address.city"
+     * @param {"yaml"|"ndjson"|"csv"} format - Format
+     * @param {String} fileName - File name (Optional)
+     * @param {{ delimiter?: String }} [options] - Delimiter of the CSV cells (Default ",")
+     * @return {String}
+     * @example
+     * 
+     * // First, let's print some data to the database
+     * Database.setMany({ ali: { level: 12, team: "red" }, fearless: { level: 3 } });
+     * 
+     * Database.export("csv")
+     * // key,value.level,value.team
+     * // ali,12,red
+     * // fearless,3,
+     * 
+     * Database.export("ndjson")
+     * // {"key":"ali","value":{"level":12,"team":"red"}}
+     * // {"key":"fearless","value":{"level":3}}
+     * 
+     * fs.writeFileSync("seed.csv", Database.export("csv", undefined, { delimiter: ";" }));
+     */
+
+    export(format, fileName = this.#DEFAULT_FILE_NAME, { delimiter = "," } = {}) {
+        checkFormat(format, delimiter);
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        const entries = this.toArray(fileName);
+        let result;
+
+        switch (format) {
+            case "yaml":
+                result = stringifyYaml(JSON.parse(stringify(Object.fromEntries(entries))));
+                break;
+
+            case "ndjson":
+                result = entries.map(([key, value]) => `${stringify({ key, value })}\n`).join("");
+                break;
+
+            case "csv": {
+                const rows = entries.map(([key, value]) => {
+                    /** @type {Object<String, String>} */
+                    const columns = {};
+                    flattenCsvValue(JSON.parse(stringify(value ?? null)), "value", columns);
+                    return { key, columns };
+                });
+                const header = [...new Set(rows.flatMap(({ columns }) => Object.keys(columns)))];
+
+                result = stringifyCsv([["key", ...header], ...rows.map(({ key, columns }) => [key, ...header.map(column => columns[column] ?? "")])], delimiter);
+                break;
+            }
+        }
+
+        this.emit("export", { fileName, file: Object.fromEntries(entries), format, result });
+        return result;
+    }
+
+
+
+    /**
+     * Adds the data in YAML, NDJSON or CSV format to the JSON file, data in the format export returns can be imported as it is
+     * 
+     * In CSV, the "key" column is required and the other columns are paths of the value (For example "value.level" or just "level")
+     * @param {"yaml"|"ndjson"|"csv"} format - Format
+     * @param {String|Buffer} data - Data
+     * @param {{ mode?: "merge"|"replace", delimiter?: String, fileName?: String }} [options] - "merge" adds the entries to the file and "replace" replaces the whole file with them (Default "merge"), delimiter of the CSV cells (Default ",") and the file name
+     * @return {Object}
+     * @example
+     * 
+     * Database.import("csv", fs.readFileSync("seed.csv"));
+     * 
+     * Database.import("yaml", "ali:\n  level: 12\n", { mode: "replace", fileName: "users.json" });
+     */
+
+    import(format, data, { mode = "merge", delimiter = ",", fileName = this.#DEFAULT_FILE_NAME } = {}) {
+        checkFormat(format, delimiter);
+
+        if (data === undefined || data === null) throw new DatabaseError("data value is missing", missingInput);
+        if (typeof data != "string" && !Buffer.isBuffer(data)) throw new DatabaseError("data value must be a string or Buffer", invalidInput);
+        data = String(data);
+
+        if (mode != "merge" && mode != "replace") throw new DatabaseError(`mode value must be "merge" or "replace"`, invalidInput);
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        /** @type {Object<String, any>} */
+        let items = Object.create(null);
+
+        switch (format) {
+            case "yaml": {
+                const result = parseYaml(data) ?? {};
+                if (Object.prototype.toString.call(result) != "[object Object]") throw new DatabaseError("YAML data must be a mapping of keys to values", invalidInput);
+
+                items = parse(JSON.stringify(result));
+                break;
+            }
+
+            case "ndjson":
+                data.split(/\r?\n/).forEach((line, index) => {
+                    if (!line.trim()) return;
+
+                    let entry;
+                    try {
+                        entry = parse(line);
+                    } catch {
+                        throw new DatabaseError(`Line ${index + 1} is not valid JSON`, invalidInput);
+                    }
+                    if (typeof entry?.key != "string") throw new DatabaseError(`Line ${index + 1} must be an object with a key string`, invalidInput);
+
+                    items[entry.key] = entry.value;
+                });
+                break;
+
+            case "csv": {
+                const [header = [], ...rows] = parseCsv(data, delimiter);
+                const keyIndex = header.indexOf("key");
+                if (keyIndex == -1) throw new DatabaseError(`CSV data must have a "key" column`, invalidInput);
+
+                // Columns are checked before any path is created, so a column like "__proto__.x" can't reach the prototypes
+                const columnPaths = header.map(column => column == "value" || column.startsWith("value.") ? column : `value.${column}`);
+                columnPaths.forEach((columnPath, columnIndex) => {
+                    if (columnIndex != keyIndex) parseKey(columnPath);
+                });
+
+                rows.forEach((row, index) => {
+                    const key = row[keyIndex];
+                    if (!key) throw new DatabaseError(`Row ${index + 2} has no key`, invalidInput);
+
+                    /** @type {Object<String, any>} */
+                    const entry = { value: null };
+                    columnPaths.forEach((columnPath, columnIndex) => {
+                        const cell = row[columnIndex];
+                        if (columnIndex == keyIndex || cell === undefined || cell === "") return;
+
+                        if (entry.value === null) delete entry.value;
+                        const { parent, last } = resolveKey(entry, columnPath, true);
+                        parent[last] = fromCsvCell(cell);
+                    });
+
+                    items[key] = entry.value;
+                });
+
+                items = parse(JSON.stringify(items));
+                break;
+            }
+        }
+
+        // Keys like "__proto__" would change the prototype of the file instead of adding a key
+        const forbidden = Object.keys(items).find(key => FORBIDDEN_KEYS.includes(key));
+        if (forbidden !== undefined) throw new DatabaseError(`"${forbidden}" can't be used as a key`, invalidInput);
+
+        if (mode == "replace") this.setFile(items, fileName);
+        else this.setMany(items, fileName);
+
+        const file = this.toJSON(fileName);
+        this.emit("import", { fileName, file, format, mode, items });
+        return file;
+    }
+
+
+
     /**
      * Commands to reset the database file
      */
@@ -2102,8 +5581,19 @@ export default class Database {
     destroy(fileName = this.#DEFAULT_FILE_NAME) {
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
+        if (this.#transaction) throw new DatabaseError("Files can't be destroyed inside a transaction", invalidCommand);
+
         fileName = removeJsonAtEnd(fileName);
-        unlinkSync(`${fileName}.json`);
+        this._unwatchFile(fileName);
+        if (!this._findDataPath(fileName)) throw new DatabaseError(`There is no file named ${this._dataPath(fileName)}`, invalidInput);
+        for (const extension of DATA_EXTENSIONS) {
+            for (const filePath of [`${fileName}${extension}`, `${fileName}${extension}.sha256`, `${fileName}${extension}.bak`]) this.#adapter.remove(filePath);
+        }
+        this.#adapter.remove(`${fileName}.ttl.json`);
+        this.#adapter.remove(`${fileName}.history`);
+        this.#expiries.delete(fileName);
+        this.#dirty.delete(fileName);
+        if (this.#journal) this._clearJournal(fileName);
         if (this.#cache) delete this.#cache[fileName];
 
         this.emit("destroy", { fileName, file: null });
@@ -2141,7 +5631,7 @@ export default class Database {
 
         const file = this._getFile(fileName);
         this.emit("reset", { fileName, file, afterReset: newValue });
-        this._writeAndCache(fileName, newValue);
+        this._writeAndCache(fileName, newValue, { op: "reset" });
         return newValue;
     }
 
@@ -2175,12 +5665,15 @@ export default class Database {
         if (!fileName) throw new DatabaseError("fileName is missing", missingInput);
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
+        if (this.#transaction) throw new DatabaseError("Files can't be created inside a transaction", invalidCommand);
+
         fileName = removeJsonAtEnd(fileName);
-        if (existsSync(`${fileName}.json`)) throw new DatabaseError(`A file named ${fileName}.json already exists`, exists);
+        const existingPath = this._findDataPath(fileName);
+        if (existingPath) throw new DatabaseError(`A file named ${existingPath} already exists`, exists);
 
         if (Object.prototype.toString.call(file) != "[object Object]") throw new DatabaseError("file value must be an Object type", invalidInput);
 
-        this._writeAndCache(fileName, file);
+        this._writeAndCache(fileName, file, { op: "create" });
         if (isDefaultFile) this.#DEFAULT_FILE_NAME = fileName;
 
         if (this.#cache !== null) this.#cache[fileName] = file;
@@ -2220,11 +5713,14 @@ export default class Database {
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
+        if (this.#transaction) throw new DatabaseError("Files can't be cloned inside a transaction", invalidCommand);
+
         cloneFileName = removeJsonAtEnd(cloneFileName);
-        if (existsSync(`${cloneFileName}.json`)) throw new DatabaseError(`A file named ${cloneFileName}.json already exists`, exists);
+        const existingPath = this._findDataPath(cloneFileName);
+        if (existingPath) throw new DatabaseError(`A file named ${existingPath} already exists`, exists);
 
         const file = this._getFile(fileName);
-        this._writeAndCache(cloneFileName, file);
+        this._writeAndCache(cloneFileName, file, { op: "clone" });
 
         if (this.#cache !== null) this.#cache[cloneFileName] = file;
         this.emit("clone", { fileName, file, cloneFileName });
@@ -2233,6 +5729,363 @@ export default class Database {
 
 
 
+    /**
+     * Writes the file to disk as JSON, it is mostly used to keep the files of an in-memory database
+     * @param {String} [filePath] - Path of the JSON file to be written (Defaults to the file name with the extension of the compression setting, an existing file is overwritten). It is compressed if it ends with .json.gz or .json.br
+     * @param {String} fileName - File name (Optional)
+     * @return {String} - Returns the path of the written file
+     * @example
+     * 
+     * const Database = new AlisaDB(":memory:");
+     * 
+     * Database.set("hello", "World");
+     * 
+     * // Nothing has been written to disk until now
+     * Database.saveToDisk("backup.json") // "backup.json"
+     */
+
+    saveToDisk(filePath, fileName = this.#DEFAULT_FILE_NAME) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+        fileName = removeJsonAtEnd(fileName);
+
+        filePath ??= this._dataPath(fileName);
+        if (!filePath || typeof filePath != "string") throw new DatabaseError("filePath value must be a string", invalidInput);
+
+        const file = this._getFile(fileName);
+        new FileSystemAdapter().write(filePath, this._encode(stringify(file, this.#spaces), filePath));
+
+        this.emit("saveToDisk", { fileName, file, filePath });
+        return filePath;
+    }
+
+
+
+    /**
+     * Encrypts the files again with a new key, the key of the encryption setting is changed for the next reads and writes too
+     * 
+     * If no file names are entered, the default file, the cached files and the files in the directory of the default file that the current key decrypts are encrypted again
+     * @param {String|Buffer|null} newKey - New key, a 32 bytes long Buffer or a passphrase (If it is null, the files are decrypted and the encryption is turned off)
+     * @param {Array<String>} [fileNames] - Files to be encrypted again
+     * @return {Array<String>} - Returns the names of the files that were encrypted again
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { encryption: { key: process.env.DB_KEY } });
+     * 
+     * Database.rekey(process.env.NEW_DB_KEY) // ["database"]
+     * 
+     * // Files that aren't encrypted yet can be encrypted the same way
+     * new AlisaDB("old.json").rekey(process.env.DB_KEY)
+     */
+
+    rekey(newKey, fileNames) {
+        if (newKey === undefined) throw new DatabaseError("newKey value is missing", missingInput);
+        if (fileNames !== undefined && (!Array.isArray(fileNames) || fileNames.some(fileName => typeof fileName != "string"))) {
+            throw new DatabaseError("fileNames value must be an Array of strings", invalidInput);
+        }
+
+        if (this.#transaction) throw new DatabaseError("Files can't be encrypted again inside a transaction", invalidCommand);
+
+        const encryptor = newKey === null ? null : new Encryptor(newKey);
+
+        /** @type {Set<String>} */
+        const names = new Set((fileNames || [this.#DEFAULT_FILE_NAME, ...Object.keys(this.#cache || {})]).map(removeJsonAtEnd));
+        if (!fileNames && this.#encryptor) {
+            const directory = dirname(this.#DEFAULT_FILE_NAME);
+
+            for (const name of this.#adapter.list(directory)) {
+                if (!DATA_EXTENSIONS.some(extension => name.endsWith(extension)) || name.endsWith(".ttl.json")) continue;
+
+                // Files encrypted with other keys belong to other databases
+                const filePath = join(directory, name);
+                try {
+                    this.#encryptor.decrypt(this.#adapter.read(filePath), filePath);
+                    names.add(removeJsonAtEnd(filePath));
+                } catch { }
+            }
+        }
+
+        // Every file is read with the old key before anything is written, so a file that can't be decrypted doesn't leave the others half done
+        const files = [...names].map(name => {
+            const file = this._getFile(name);
+            this._getExpiries(name);
+            return /** @type {[String, Object<String, any>]} */ ([name, file]);
+        });
+
+        this.#encryptor = encryptor;
+        for (const [name, file] of files) {
+            this._writeFile(name, file);
+            if (this.#expiries.get(name)?.next !== Infinity) this._writeExpiries(name);
+        }
+
+        const result = [...names];
+        this.emit("rekey", { fileName: this.#DEFAULT_FILE_NAME, files: result, encrypted: encryptor !== null });
+        return result;
+    }
+
+
+
+    /**
+     * Writes the files again with the compression setting, so files written before it was turned on (Or with another compression) are converted
+     * 
+     * If no file names are entered, the default file and the cached files are converted
+     * @param {Array<String>} [fileNames] - Files to be converted
+     * @return {Array<String>} - Returns the names of the files that were converted
+     * @example
+     * 
+     * // ./database.json was written without compression
+     * const Database = new AlisaDB("database.json", { compression: "gzip" });
+     * 
+     * // Writes ./database.json.gz and deletes ./database.json
+     * Database.migrateCompression() // ["database"]
+     * 
+     * Database.migrateCompression(["users.json", "guilds.json"]) // ["users", "guilds"]
+     */
+
+    migrateCompression(fileNames) {
+        if (fileNames !== undefined && (!Array.isArray(fileNames) || fileNames.some(fileName => typeof fileName != "string"))) {
+            throw new DatabaseError("fileNames value must be an Array of strings", invalidInput);
+        }
+
+        if (this.#transaction) throw new DatabaseError("Files can't be converted inside a transaction", invalidCommand);
+
+        /** @type {Set<String>} */
+        const names = new Set((fileNames || [this.#DEFAULT_FILE_NAME, ...Object.keys(this.#cache || {})]).map(removeJsonAtEnd));
+
+        const migrated = [];
+        for (const name of names) {
+            if (!DATA_EXTENSIONS.some(extension => extension != this.#extension && this.#adapter.exists(`${name}${extension}`))) continue;
+
+            // The old version is read and written with the current setting, then deleted
+            this._writeFile(name, this._getFile(name));
+            migrated.push(name);
+        }
+
+        this.emit("migrateCompression", { fileName: this.#DEFAULT_FILE_NAME, files: migrated, compression: this.#compression });
+        return migrated;
+    }
+
+
+
+    /**
+     * Writes a copy of the file to the backup directory, then deletes the old backups the retention settings don't keep
+     * @param {String} fileName - File name (Optional)
+     * @return {String} - Returns the id of the backup
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { backup: { keep: 10 } });
+     * 
+     * // Writes ./backups/database-2026-01-31T12-30-00-000Z.json
+     * Database.backup() // "database-2026-01-31T12-30-00-000Z"
+     */
+
+    backup(fileName = this.#DEFAULT_FILE_NAME) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        if (this.#transaction) throw new DatabaseError("Files can't be backed up inside a transaction", invalidCommand);
+
+        fileName = removeJsonAtEnd(fileName);
+        const { directory } = this.#backup;
+        if (this.#adapter instanceof FileSystemAdapter) mkdirSync(directory, { recursive: true });
+
+        const file = this._getFile(fileName);
+
+        // Backups made in the same millisecond would have the same id
+        let date = new Date();
+        const latest = this.listBackups(fileName)[0];
+        if (latest && latest.date >= date) date = new Date(latest.date.getTime() + 1);
+
+        const id = `${basename(fileName)}-${backupStamp(date)}`;
+        const filePath = join(directory, `${id}${this.#extension}`);
+        this.#adapter.write(filePath, this._encode(stringify(file, this.#spaces), filePath));
+
+        /** @type {Array<String>} */
+        const removed = [];
+        for (const oldBackup of expiredBackups(this.listBackups(fileName), this.#backup)) {
+            this.#adapter.remove(oldBackup.filePath);
+            removed.push(oldBackup.id);
+        }
+
+        this.emit("backup", { fileName, file, id, filePath, removed });
+        return id;
+    }
+
+
+
+    /**
+     * Returns the backups of the file in the backup directory, from the newest to the oldest
+     * @param {String} fileName - File name (Optional)
+     * @return {Array<Backup>}
+     * @example
+     * 
+     * Database.listBackups()
+     * // [{ id: "database-2026-01-31T12-30-00-000Z", fileName: "database", date: 2026-01-31T12:30:00.000Z, filePath: "backups/database-2026-01-31T12-30-00-000Z.json" }]
+     */
+
+    listBackups(fileName = this.#DEFAULT_FILE_NAME) {
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        fileName = removeJsonAtEnd(fileName);
+        const { directory } = this.#backup;
+        const prefix = `${basename(fileName)}-`;
+
+        /** @type {Array<Backup>} */
+        const backups = [];
+        for (const name of this.#adapter.list(directory)) {
+            const extension = DATA_EXTENSIONS.find(extension => name.endsWith(extension));
+            if (!extension || !name.startsWith(prefix)) continue;
+
+            const id = name.slice(0, -extension.length);
+            const date = parseBackupStamp(id.slice(prefix.length));
+            if (date) backups.push({ id, fileName, date, filePath: join(directory, name) });
+        }
+
+        return backups.sort((backup1, backup2) => backup2.date.getTime() - backup1.date.getTime());
+    }
+
+
+
+    /**
+     * Replaces the file with the backup, the cache is updated too
+     * @param {String} backupId - Id of the backup that backup or listBackups returned
+     * @param {String} fileName - File name (Optional)
+     * @return {Object} - Returns the restored file
+     * @example
+     * 
+     * const [latest] = Database.listBackups();
+     * 
+     * Database.restore(latest.id);
+     * 
+     * // Backups can be restored to other files as well
+     * Database.restore(latest.id, "restored.json");
+     */
+
+    restore(backupId, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!backupId) throw new DatabaseError("backupId value is missing", missingInput);
+        if (typeof backupId != "string") throw new DatabaseError("backupId value must be a string", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+
+        fileName = removeJsonAtEnd(fileName);
+        const backupPath = DATA_EXTENSIONS
+            .map(extension => join(this.#backup.directory, `${backupId}${extension}`))
+            .find(filePath => this.#adapter.exists(filePath));
+        if (!backupPath) throw new DatabaseError(`There is no backup named ${backupId}`, invalidInput);
+
+        const file = this._parseData(this._readData(backupPath), backupPath, false);
+        this._writeAndCache(fileName, file, { op: "restore" });
+
+        this.emit("restore", { fileName, file, backupId, filePath: backupPath });
+        return file;
+    }
+
+
+
+    /**
+     * Rebuilds the file as it was at the date from its history, the changes made after it are undone (The history setting must be on)
+     * 
+     * The restore is added to the history too, so it can be undone the same way
+     * @param {Date|Number|String} date - Date, timestamp in milliseconds or a date string
+     * @param {String} fileName - File name (Optional)
+     * @return {Object} - Returns the restored file
+     * @example
+     * 
+     * const Database = new AlisaDB("database.json", { history: true });
+     * 
+     * Database.set("coins", 100);
+     * const before = new Date();
+     * 
+     * Database.deleteAll();
+     * 
+     * Database.restoreTo(before) // { coins: 100 }
+     */
+
+    restoreTo(date, fileName = this.#DEFAULT_FILE_NAME) {
+        if (date === undefined || date === null || date === "") throw new DatabaseError("date value is missing", missingInput);
+
+        const time = new Date(date).getTime();
+        if (isNaN(time)) throw new DatabaseError("date value must be a valid date", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+        if (!this.#history) throw new DatabaseError("The history setting must be on to restore files to a date", invalidCommand);
+
+        fileName = removeJsonAtEnd(fileName);
+
+        /** @type {Object<String, any>|null} */
+        let file = null;
+        for (const entry of this._readHistory(fileName)) {
+            if (entry.time > time) break;
+
+            if (entry.file) file = entry.file;
+            else applyJournalEntry(file ??= {}, entry);
+        }
+        if (!file) throw new DatabaseError(`There is no history of ${fileName} before ${new Date(time).toISOString()}`, invalidInput);
+
+        this._writeAndCache(fileName, file, { op: "restoreTo" });
+        this.emit("restoreTo", { fileName, file, date: new Date(time) });
+        return file;
+    }
+
+
+
+    /**
+     * Returns the values the key had in the history of the file, from the newest to the oldest (The history setting must be on)
+     * @param {String} key - Name of key or its path separated by dots
+     * @param {String} fileName - File name (Optional)
+     * @return {Array<{ date: Date, op: String, value: any, exists: Boolean }>} - exists is false if the key was deleted by the change
+     * @example
+     * 
+     * Database.set("coins", 100);
+     * Database.add("coins", 50);
+     * Database.delete("coins");
+     * 
+     * Database.history("coins")
+     * // [
+     * //   { date: 2026-01-31T12:30:00.002Z, op: "delete", value: undefined, exists: false },
+     * //   { date: 2026-01-31T12:30:00.001Z, op: "add", value: 150, exists: true },
+     * //   { date: 2026-01-31T12:30:00.000Z, op: "set", value: 100, exists: true }
+     * // ]
+     */
+
+    history(key, fileName = this.#DEFAULT_FILE_NAME) {
+        if (!key) throw new DatabaseError("key value is missing", missingInput);
+        if (typeof key != "string") throw new DatabaseError("key value must be a string", invalidInput);
+
+        if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
+        if (!this.#history) throw new DatabaseError("The history setting must be on to read the history of a key", invalidCommand);
+
+        fileName = removeJsonAtEnd(fileName);
+        const rootKey = parseKey(key)[0];
+
+        /** @type {Array<{ date: Date, op: String, value: any, exists: Boolean }>} */
+        const values = [];
+        let previous = { exists: false, value: undefined };
+        for (const entry of this._readHistory(fileName)) {
+            let file = entry.file;
+            if (!file) {
+                // Changes that didn't touch the key are skipped
+                if (entry.set && rootKey in entry.set) file = { [rootKey]: entry.set[rootKey] };
+                else if (entry.delete?.includes(rootKey)) file = {};
+                else continue;
+            }
+
+            const { parent, last } = resolveKey(file, key);
+            const exists = parent !== undefined && Object.hasOwn(parent, last);
+            const value = exists ? parent[last] : undefined;
+
+            // Only the changes that changed the value of the key are listed
+            if (exists == previous.exists && sameValue(value, previous.value)) continue;
+
+            previous = { exists, value };
+            values.push({ date: new Date(entry.time), op: entry.op, value, exists });
+        }
+
+        values.reverse();
+        this.emit("history", { fileName, key, values });
+        return values;
+    }
+
+
+
     /**
      * Other commands of the database
      */
@@ -2240,9 +6093,9 @@ export default class Database {
 
     /**
      * Returns the type of data in the JSON file
-     * @param {String} key - Name of key
+     * @param {String} key - Name of key or its path separated by dots (For example "users.123.coins")
      * @param {String} fileName - File name (Optional)
-     * @return {"string" | "array" | "object" | "number" | "string" | "boolean" | "bigint" | "symbol" | "function" | "undefined"}
+     * @return {"string" | "array" | "object" | "number" | "string" | "boolean" | "bigint" | "symbol" | "function" | "undefined" | "date" | "map" | "set" | "buffer" | "regexp" | String} - Registered types return their name
      * @example
      * 
      * // First, let's print some data to the database
@@ -2259,6 +6112,9 @@ export default class Database {
      * Database.typeof("ali") // "string"
      * 
      * Database.typeof("ilost") // "array"
+     * 
+     * Database.set("createdAt", new Date());
+     * Database.typeof("createdAt") // "date"
      */
 
     typeof(key, fileName = this.#DEFAULT_FILE_NAME) {
@@ -2267,8 +6123,12 @@ export default class Database {
 
         if (typeof fileName != "string") throw new DatabaseError("fileName value must be a string", invalidInput);
 
-        const data = this._getFile(fileName)[key];
-        return Array.isArray(data) ? "array" : typeof data;
+        const data = getKey(this._getFile(fileName), key);
+        if (Array.isArray(data)) return "array";
+        if (typeof data != "object" || data === null) return typeof data;
+
+        const type = VALUE_TYPES.find(({ name, test }) => name != "Object" && test(data));
+        return !type ? "object" : type.builtIn ? type.name.toLowerCase() : type.name;
     }
 
 }
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Writes the data to a temporary file, flushes it to disk and then renames it over the target file
+ *
+ * This way the old file stays intact until the new one is fully on disk
+ * @param {String} filePath - Path of the file
+ * @param {String|Buffer} data - Data to be written
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempPath, "w");
+        try {
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        // If anything went wrong, don't leave the temporary file behind
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        throw error;
+    }
+
+    // Flush the directory entry too so the rename survives a power loss (Not supported on every platform)
+    try {
+        const dirFd = fs.openSync(path.dirname(path.resolve(filePath)), "r");
+        try {
+            fs.fsyncSync(dirFd);
+        } finally {
+            fs.closeSync(dirFd);
+        }
+    } catch { }
+}
+
+
+/**
+ * Promise based version of writeFileAtomic
+ * @param {String} filePath - Path of the file
+ * @param {String|Buffer} data - Data to be written
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomicAsync(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+
+    try {
+        const handle = await fs.promises.open(tempPath, "w");
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => { });
+        throw error;
+    }
+}
+
+
+class FileSystemAdapter {
+
+    /**
+     * Storage adapter that keeps the files on disk, it is used by default
+     *
+     * Writes are crash-safe: the data is written to a temporary file, flushed to disk and then renamed over the target file
+     */
+    constructor() { }
+
+    /**
+     * Reads the file, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {String}
+     */
+    read(filePath) {
+        return fs.readFileSync(filePath, "utf-8");
+    }
+
+    /**
+     * Promise based version of read
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<String>}
+     */
+    readAsync(filePath) {
+        return fs.promises.readFile(filePath, "utf-8");
+    }
+
+    /**
+     * Reads the file as bytes, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {Buffer}
+     */
+    readBuffer(filePath) {
+        return fs.readFileSync(filePath);
+    }
+
+    /**
+     * Promise based version of readBuffer
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<Buffer>}
+     */
+    readBufferAsync(filePath) {
+        return fs.promises.readFile(filePath);
+    }
+
+    /**
+     * Replaces the content of the file, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     */
+    write(filePath, data) {
+        writeFileAtomic(filePath, data);
+    }
+
+    /**
+     * Promise based version of write
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     * @returns {Promise<void>}
+     */
+    writeAsync(filePath, data) {
+        return writeFileAtomicAsync(filePath, data);
+    }
+
+    /**
+     * Adds the data to the end of the file and flushes it to disk, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String} data - Data to be added
+     */
+    append(filePath, data) {
+        const fd = fs.openSync(filePath, "a");
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Promise based version of append
+     * @param {String} filePath - Path of the file
+     * @param {String} data - Data to be added
+     * @returns {Promise<void>}
+     */
+    async appendAsync(filePath, data) {
+        const handle = await fs.promises.open(filePath, "a");
+        try {
+            await handle.write(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Checks if the file exists
+     * @param {String} filePath - Path of the file
+     * @returns {Boolean}
+     */
+    exists(filePath) {
+        return fs.existsSync(filePath);
+    }
+
+    /**
+     * Deletes the file, nothing happens if it doesn't exist
+     * @param {String} filePath - Path of the file
+     */
+    remove(filePath) {
+        try {
+            fs.unlinkSync(filePath);
+        } catch (error) {
+            if (error.code != "ENOENT") throw error;
+        }
+    }
+
+    /**
+     * Promise based version of remove
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<void>}
+     */
+    removeAsync(filePath) {
+        return fs.promises.rm(filePath, { force: true });
+    }
+
+    /**
+     * Returns the names of the files in the directory
+     * @param {String} [directory="."] - Path of the directory
+     * @returns {Array<String>}
+     */
+    list(directory = ".") {
+        if (!fs.existsSync(directory)) return [];
+        return fs.readdirSync(directory, { withFileTypes: true }).filter(entry => entry.isFile()).map(entry => entry.name);
+    }
+}
+
+module.exports = FileSystemAdapter
@@ -0,0 +1,115 @@
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from "crypto";
+import DatabaseError from "./DatabaseError";
+import { invalidInput, decryptionFailed } from "./errorCodes";
+
+/**
+ * Cipher used for the files, it also detects changes made to the encrypted data
+ */
+const ALGORITHM = "aes-256-gcm";
+
+class Encryptor {
+
+    /**
+     * 32 byte key, or a passphrase that the key is derived from
+     * @type {Buffer|String}
+     */
+    #key;
+
+    /**
+     * Salt used for the passphrase when encrypting (null if the key is a Buffer)
+     * @type {Buffer|null}
+     */
+    #salt;
+
+    /**
+     * Keys derived from the passphrase for each salt, so scrypt runs only once per salt
+     * @type {Map<String, Buffer>}
+     */
+    #derivedKeys = new Map();
+
+    /**
+     * Encrypts and decrypts the contents of the files with AES-256-GCM
+     * @param {Buffer|String} key - 32 byte key, or a passphrase that a key is derived from with scrypt
+     */
+    constructor(key) {
+        if (Buffer.isBuffer(key)) {
+            if (key.length != 32) throw new DatabaseError("encryption key must be 32 bytes long if it is a Buffer", invalidInput);
+            this.#salt = null;
+        } else if (typeof key == "string" && key.length > 0) {
+            this.#salt = randomBytes(16);
+        } else throw new DatabaseError("encryption key must be a non-empty string or a Buffer", invalidInput);
+
+        this.#key = key;
+    }
+
+    /**
+     * Checks if the data is encrypted by an Encryptor
+     * @param {String|Buffer} data - Data
+     * @returns {Boolean}
+     */
+    static isEncrypted(data) {
+        return String(data.slice(0, 13)) == '{"$encrypted"';
+    }
+
+    /**
+     * Returns the key used with the salt
+     * @param {Buffer|null} salt - Salt of the passphrase
+     * @returns {Buffer}
+     * @private
+     */
+    _deriveKey(salt) {
+        if (typeof this.#key != "string") return this.#key;
+        if (!salt) throw new Error("The file was encrypted with a 32 byte key, not a passphrase");
+
+        const id = salt.toString("base64");
+        let key = this.#derivedKeys.get(id);
+        if (!key) {
+            key = scryptSync(this.#key, salt, 32);
+            this.#derivedKeys.set(id, key);
+        }
+        return key;
+    }
+
+    /**
+     * Encrypts the data into a single line of JSON
+     * @param {String|Buffer} input - Text or bytes
+     * @returns {String}
+     */
+    encrypt(input) {
+        const iv = randomBytes(12);
+        const cipher = createCipheriv(ALGORITHM, this._deriveKey(this.#salt), iv);
+        const data = Buffer.concat([typeof input == "string" ? cipher.update(input, "utf-8") : cipher.update(input), cipher.final()]);
+
+        return JSON.stringify({
+            $encrypted: ALGORITHM,
+            salt: this.#salt?.toString("base64"),
+            iv: iv.toString("base64"),
+            tag: cipher.getAuthTag().toString("base64"),
+            data: data.toString("base64")
+        });
+    }
+
+    /**
+     * Decrypts the text that encrypt returned
+     * @param {String} text - Encrypted text
+     * @param {String} filePath - Path of the file, used in the errors
+     * @returns {Buffer}
+     */
+    decrypt(text, filePath) {
+        if (!Encryptor.isEncrypted(text)) throw new DatabaseError(`${filePath} is not encrypted`, decryptionFailed);
+
+        try {
+            const { $encrypted, salt, iv, tag, data } = JSON.parse(text);
+            if ($encrypted != ALGORITHM) throw new Error(`Unknown algorithm ${$encrypted}`);
+
+            const decipher = createDecipheriv(ALGORITHM, this._deriveKey(salt ? Buffer.from(salt, "base64") : null), Buffer.from(iv, "base64"));
+            decipher.setAuthTag(Buffer.from(tag, "base64"));
+            return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+        } catch (error) {
+            // The key is wrong or the file has been changed
+            throw new DatabaseError(`${filePath} could not be decrypted, the key is wrong or the file is corrupted (${error.message})`, decryptionFailed);
+        }
+    }
+}
+
+export default Encryptor;
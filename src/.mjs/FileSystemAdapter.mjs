@@ -0,0 +1,202 @@
+import { openSync, writeFileSync, fsyncSync, closeSync, renameSync, existsSync, unlinkSync, promises, readFileSync, writeSync, readdirSync } from "fs";
+import { dirname, resolve } from "path";
+
+/**
+ * Writes the data to a temporary file, flushes it to disk and then renames it over the target file
+ *
+ * This way the old file stays intact until the new one is fully on disk
+ * @param {String} filePath - Path of the file
+ * @param {String|Buffer} data - Data to be written
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+
+    try {
+        const fd = openSync(tempPath, "w");
+        try {
+            writeFileSync(fd, data);
+            fsyncSync(fd);
+        } finally {
+            closeSync(fd);
+        }
+        renameSync(tempPath, filePath);
+    } catch (error) {
+        // If anything went wrong, don't leave the temporary file behind
+        if (existsSync(tempPath)) unlinkSync(tempPath);
+        throw error;
+    }
+
+    // Flush the directory entry too so the rename survives a power loss (Not supported on every platform)
+    try {
+        const dirFd = openSync(dirname(resolve(filePath)), "r");
+        try {
+            fsyncSync(dirFd);
+        } finally {
+            closeSync(dirFd);
+        }
+    } catch { }
+}
+
+
+/**
+ * Promise based version of writeFileAtomic
+ * @param {String} filePath - Path of the file
+ * @param {String|Buffer} data - Data to be written
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomicAsync(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+
+    try {
+        const handle = await promises.open(tempPath, "w");
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await promises.rename(tempPath, filePath);
+    } catch (error) {
+        await promises.unlink(tempPath).catch(() => { });
+        throw error;
+    }
+}
+
+
+class FileSystemAdapter {
+
+    /**
+     * Storage adapter that keeps the files on disk, it is used by default
+     *
+     * Writes are crash-safe: the data is written to a temporary file, flushed to disk and then renamed over the target file
+     */
+    constructor() { }
+
+    /**
+     * Reads the file, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {String}
+     */
+    read(filePath) {
+        return readFileSync(filePath, "utf-8");
+    }
+
+    /**
+     * Promise based version of read
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<String>}
+     */
+    readAsync(filePath) {
+        return promises.readFile(filePath, "utf-8");
+    }
+
+    /**
+     * Reads the file as bytes, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {Buffer}
+     */
+    readBuffer(filePath) {
+        return readFileSync(filePath);
+    }
+
+    /**
+     * Promise based version of readBuffer
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<Buffer>}
+     */
+    readBufferAsync(filePath) {
+        return promises.readFile(filePath);
+    }
+
+    /**
+     * Replaces the content of the file, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     */
+    write(filePath, data) {
+        writeFileAtomic(filePath, data);
+    }
+
+    /**
+     * Promise based version of write
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     * @returns {Promise<void>}
+     */
+    writeAsync(filePath, data) {
+        return writeFileAtomicAsync(filePath, data);
+    }
+
+    /**
+     * Adds the data to the end of the file and flushes it to disk, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String} data - Data to be added
+     */
+    append(filePath, data) {
+        const fd = openSync(filePath, "a");
+        try {
+            writeSync(fd, data);
+            fsyncSync(fd);
+        } finally {
+            closeSync(fd);
+        }
+    }
+
+    /**
+     * Promise based version of append
+     * @param {String} filePath - Path of the file
+     * @param {String} data - Data to be added
+     * @returns {Promise<void>}
+     */
+    async appendAsync(filePath, data) {
+        const handle = await promises.open(filePath, "a");
+        try {
+            await handle.write(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Checks if the file exists
+     * @param {String} filePath - Path of the file
+     * @returns {Boolean}
+     */
+    exists(filePath) {
+        return existsSync(filePath);
+    }
+
+    /**
+     * Deletes the file, nothing happens if it doesn't exist
+     * @param {String} filePath - Path of the file
+     */
+    remove(filePath) {
+        try {
+            unlinkSync(filePath);
+        } catch (error) {
+            if (error.code != "ENOENT") throw error;
+        }
+    }
+
+    /**
+     * Promise based version of remove
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<void>}
+     */
+    removeAsync(filePath) {
+        return promises.rm(filePath, { force: true });
+    }
+
+    /**
+     * Returns the names of the files in the directory
+     * @param {String} [directory="."] - Path of the directory
+     * @returns {Array<String>}
+     */
+    list(directory = ".") {
+        if (!existsSync(directory)) return [];
+        return readdirSync(directory, { withFileTypes: true }).filter(entry => entry.isFile()).map(entry => entry.name);
+    }
+}
+
+export default FileSystemAdapter;
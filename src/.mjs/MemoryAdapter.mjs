@@ -0,0 +1,87 @@
+import { resolve, dirname, basename } from "path";
+
+class MemoryAdapter {
+
+    /**
+     * Contents of the files by their absolute paths
+     * @type {Map<String, String|Buffer>}
+     */
+    #files = new Map();
+
+    /**
+     * Storage adapter that keeps the files in memory, nothing is written to disk and the files are lost when the process exits
+     * @param {Object<String, String|Buffer>} [files] - Files to start with, by their paths
+     */
+    constructor(files = {}) {
+        for (const [filePath, data] of Object.entries(files)) this.write(filePath, data);
+    }
+
+    /**
+     * Reads the file, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {String}
+     */
+    read(filePath) {
+        return this.readBuffer(filePath).toString();
+    }
+
+    /**
+     * Reads the file as bytes, throws an error if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @returns {Buffer}
+     */
+    readBuffer(filePath) {
+        const data = this.#files.get(resolve(filePath));
+        if (data === undefined) throw Object.assign(new Error(`ENOENT: no such file, open '${filePath}'`), { code: "ENOENT" });
+        return Buffer.from(data);
+    }
+
+    /**
+     * Replaces the content of the file, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String|Buffer} data - Data to be written
+     */
+    write(filePath, data) {
+        // Buffers are copied, so changing them later doesn't change the file
+        this.#files.set(resolve(filePath), Buffer.isBuffer(data) ? Buffer.from(data) : String(data));
+    }
+
+    /**
+     * Adds the data to the end of the file, the file is created if it doesn't exist
+     * @param {String} filePath - Path of the file
+     * @param {String} data - Data to be added
+     */
+    append(filePath, data) {
+        const absolutePath = resolve(filePath);
+        this.#files.set(absolutePath, (this.#files.get(absolutePath)?.toString() ?? "") + data);
+    }
+
+    /**
+     * Checks if the file exists
+     * @param {String} filePath - Path of the file
+     * @returns {Boolean}
+     */
+    exists(filePath) {
+        return this.#files.has(resolve(filePath));
+    }
+
+    /**
+     * Deletes the file, nothing happens if it doesn't exist
+     * @param {String} filePath - Path of the file
+     */
+    remove(filePath) {
+        this.#files.delete(resolve(filePath));
+    }
+
+    /**
+     * Returns the names of the files in the directory
+     * @param {String} [directory="."] - Path of the directory
+     * @returns {Array<String>}
+     */
+    list(directory = ".") {
+        const directoryPath = resolve(directory);
+        return [...this.#files.keys()].filter(filePath => dirname(filePath) == directoryPath).map(filePath => basename(filePath));
+    }
+}
+
+export default MemoryAdapter;
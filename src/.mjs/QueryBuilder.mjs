@@ -0,0 +1,100 @@
+/**
+ * Options of a query
+ * @typedef {Object} QueryOptions
+ * @property {Array<Function|Object<String, any>>} where - Callbacks or query objects that the entries must match
+ * @property {Object<String, 1|-1|"asc"|"desc">} sort - Paths to sort by, in order of priority
+ * @property {Number} skip - Number of entries to skip
+ * @property {Number} limit - Maximum number of entries to return
+ * @property {Array<String>} [fields] - Paths to keep in the returned entries
+ */
+
+class QueryBuilder {
+
+    /**
+     * Database that runs the query
+     * @type {{ select: (options: QueryOptions, fileName: String) => { total: Number, results: Array<{ key: String, value: any }> } }}
+     */
+    #database;
+
+    /**
+     * File name
+     * @type {String}
+     */
+    #fileName;
+
+    /**
+     * @type {QueryOptions}
+     */
+    #options = { where: [], sort: {}, skip: 0, limit: Infinity };
+
+    /**
+     * Chainable query builder, created with Database.query()
+     * @param {any} database - Database
+     * @param {String} fileName - File name
+     */
+    constructor(database, fileName) {
+        this.#database = database;
+        this.#fileName = fileName;
+    }
+
+    /**
+     * Adds a condition that the entries must match, conditions of multiple calls must all match
+     * @param {Function|Object<String, any>} query - Callback or query object
+     * @returns {this}
+     */
+    where(query) {
+        this.#options.where.push(query);
+        return this;
+    }
+
+    /**
+     * Sorts the entries by a path of the entry ("key" or "value.coins"), multiple calls are used when the previous paths are equal
+     * @param {String} path - Path
+     * @param {1|-1|"asc"|"desc"} [order=1] - Order
+     * @returns {this}
+     */
+    sort(path, order = 1) {
+        this.#options.sort[path] = order;
+        return this;
+    }
+
+    /**
+     * Skips the first entries
+     * @param {Number} number - Number of entries
+     * @returns {this}
+     */
+    skip(number) {
+        this.#options.skip = number;
+        return this;
+    }
+
+    /**
+     * Limits the number of entries returned
+     * @param {Number} number - Number of entries
+     * @returns {this}
+     */
+    limit(number) {
+        this.#options.limit = number;
+        return this;
+    }
+
+    /**
+     * Only keeps these paths of the entries ("value.name")
+     * @param {...(String|Array<String>)} fields - Paths
+     * @returns {this}
+     */
+    fields(...fields) {
+        this.#options.fields = fields.flat();
+        return this;
+    }
+
+    /**
+     * Runs the query
+     * @returns {{ total: Number, results: Array<{ key: String, value: any }> }}
+     */
+    run() {
+        return this.#database.select(this.#options, this.#fileName);
+    }
+}
+
+export default QueryBuilder;
@@ -11,5 +11,10 @@ export default {
 
     exists: 9,
 
-    systemError: 10
+    systemError: 10,
+
+    lockTimeout: 11,
+    duplicateValue: 12,
+    decryptionFailed: 13,
+    corruptFile: 14
 }
\ No newline at end of file
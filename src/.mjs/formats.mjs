@@ -0,0 +1,423 @@
+import DatabaseError from "./DatabaseError";
+import { invalidInput } from "./errorCodes";
+
+/**
+ * Plain YAML scalars that would be read as another type, so strings with these values are quoted
+ */
+const YAML_RESERVED = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE|yes|Yes|YES|no|No|NO|on|On|ON|off|Off|OFF|[-+]?(?:\d[\d_]*)?\.?\d+(?:[eE][-+]?\d+)?|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN)|0x[\da-fA-F]+|0o[0-7]+)$/;
+
+
+/**
+ * Adds the key to the mapping as its own property, so keys like "__proto__" can't change the prototype of the mapping
+ * @param {Object<String, any>} object - Mapping
+ * @param {String} key - Key
+ * @param {any} value - Value
+ */
+function setProperty(object, key, value) {
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+
+/**
+ * Writes the string as a YAML scalar, it is quoted if it can't be written as it is
+ * @param {String} string - String
+ * @returns {String}
+ */
+function yamlString(string) {
+    const isPlain = /^[^\s\-?:,[\]{}#&*!|>'"%@`]([^:#\x00-\x1f]|:(?! )|#(?<! #))*$/.test(string) && !/[\s:]$|^\.\.\./.test(string) && !YAML_RESERVED.test(string);
+    return isPlain ? string : JSON.stringify(string);
+}
+
+
+/**
+ * Writes the value as YAML lines
+ * @param {any} value - JSON compatible value
+ * @param {Number} indent - Indentation of the lines
+ * @returns {String}
+ */
+function yamlBlock(value, indent) {
+    const spaces = " ".repeat(indent);
+
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            // Objects and arrays start on the same line as the dash, their other lines are indented under it
+            if (item !== null && typeof item == "object" && Object.keys(item).length > 0) return `${spaces}- ${yamlBlock(item, indent + 2).slice(indent + 2)}`;
+            return `${spaces}- ${yamlScalar(item)}`;
+        }).join("\n");
+    }
+
+    return Object.entries(value).map(([key, item]) => {
+        if (item !== null && typeof item == "object" && Object.keys(item).length > 0) {
+            // Arrays of a key are written at the same indentation as the key, like most YAML files do
+            return `${spaces}${yamlString(key)}:\n${yamlBlock(item, Array.isArray(item) ? indent : indent + 2)}`;
+        }
+        return `${spaces}${yamlString(key)}: ${yamlScalar(item)}`;
+    }).join("\n");
+}
+
+
+/**
+ * Writes a scalar, an empty object or an empty array as YAML
+ * @param {any} value - Value
+ * @returns {String}
+ */
+function yamlScalar(value) {
+    if (typeof value == "string") return yamlString(value);
+    if (Array.isArray(value)) return "[]";
+    if (value !== null && typeof value == "object") return "{}";
+    return String(value);
+}
+
+
+/**
+ * Turns the JSON compatible data into YAML
+ * @param {Object<String, any>} data - Data
+ * @returns {String}
+ */
+function stringifyYaml(data) {
+    return Object.keys(data).length > 0 ? `${yamlBlock(data, 0)}\n` : "{}\n";
+}
+
+
+/**
+ * Reads a plain or quoted YAML scalar
+ * @param {String} text - Text of the scalar
+ * @param {Number} line - Line number used in the errors
+ * @returns {any}
+ */
+function parseYamlScalar(text, line) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new DatabaseError(`Invalid double quoted string on line ${line}`, invalidInput);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!/^'([^']|'')*'$/.test(text)) throw new DatabaseError(`Invalid single quoted string on line ${line}`, invalidInput);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text.startsWith("[") || text.startsWith("{")) return parseYamlFlow(text, line);
+
+    if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    if (/^0x[\da-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith("-") ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+}
+
+
+/**
+ * Reads a YAML flow collection like `[a, b]` or `{ a: 1 }`
+ * @param {String} text - Text of the collection
+ * @param {Number} line - Line number used in the errors
+ * @returns {any}
+ */
+function parseYamlFlow(text, line) {
+    let index = 0;
+    const fail = () => {
+        throw new DatabaseError(`Invalid flow collection on line ${line}`, invalidInput);
+    };
+    const skipSpaces = () => {
+        while (text[index] == " ") index++;
+    };
+
+    /** @returns {any} */
+    const readValue = () => {
+        skipSpaces();
+        const char = text[index];
+
+        if (char == "[" || char == "{") {
+            const isArray = char == "[";
+            const close = isArray ? "]" : "}";
+            /** @type {any} */
+            const result = isArray ? [] : {};
+            index++;
+
+            skipSpaces();
+            if (text[index] == close) {
+                index++;
+                return result;
+            }
+
+            while (true) {
+                if (isArray) result.push(readValue());
+                else {
+                    const key = readValue();
+                    skipSpaces();
+                    if (text[index] != ":") fail();
+                    index++;
+                    setProperty(result, String(key), readValue());
+                }
+
+                skipSpaces();
+                if (text[index] == ",") index++;
+                else if (text[index] == close) {
+                    index++;
+                    return result;
+                } else fail();
+            }
+        }
+
+        if (char == '"' || char == "'") {
+            const match = (char == '"' ? /^"(\\.|[^"\\])*"/ : /^'([^']|'')*'/).exec(text.slice(index));
+            if (!match) fail();
+            index += match[0].length;
+            return parseYamlScalar(match[0], line);
+        }
+
+        // Plain scalars end at the next separator
+        const match = /^([^,:[\]{}]|:(?! ))*/.exec(text.slice(index));
+        index += match[0].length;
+        return parseYamlScalar(match[0].trim(), line);
+    };
+
+    const result = readValue();
+    skipSpaces();
+    if (index < text.length) fail();
+    return result;
+}
+
+
+/**
+ * Removes the comment at the end of the line, "#" characters in quotes and in the middle of words are kept
+ * @param {String} text - Text of the line
+ * @returns {String}
+ */
+function removeYamlComment(text) {
+    let quote = "";
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (quote) {
+            if (char == "\\" && quote == '"') index++;
+            else if (char == quote) quote = "";
+        } else if (char == '"' || char == "'") {
+            if (index == 0 || /[\s:[{,-]/.test(text[index - 1])) quote = char;
+        } else if (char == "#" && (index == 0 || /\s/.test(text[index - 1]))) return text.slice(0, index).trimEnd();
+    }
+    return text.trimEnd();
+}
+
+
+/**
+ * Splits a mapping line into its key and value, returns undefined if the line isn't a mapping
+ * @param {String} text - Text of the line
+ * @param {Number} line - Line number used in the errors
+ * @returns {[String, String]|undefined}
+ */
+function splitYamlKey(text, line) {
+    const quoted = /^("(\\.|[^"\\])*"|'([^']|'')*')\s*:(\s|$)/.exec(text);
+    if (quoted) return [String(parseYamlScalar(quoted[1], line)), text.slice(quoted[0].length).trim()];
+
+    const match = /^([^"'[{#]([^:]|:(?!\s|$))*?)\s*:(\s|$)/.exec(text);
+    if (match) return [match[1], text.slice(match[0].length).trim()];
+    return undefined;
+}
+
+
+/**
+ * Parses the YAML into JSON compatible data, block and flow collections, scalars, comments and `|`/`>` block scalars are supported
+ * @param {String} text - YAML text
+ * @returns {any}
+ */
+function parseYaml(text) {
+    /** @type {Array<{ indent: Number, text: String, line: Number, block?: Array<String> }>} */
+    const lines = [];
+    const rawLines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+    for (let index = 0; index < rawLines.length; index++) {
+        const raw = rawLines[index];
+        if (/^(---|\.\.\.)(\s|$)/.test(raw)) continue;
+        if (/^\t| \t/.test(raw.match(/^\s*/)?.[0] || "")) throw new DatabaseError(`Tabs can't be used for indentation (Line ${index + 1})`, invalidInput);
+
+        const content = removeYamlComment(raw.trim());
+        if (!content) continue;
+        lines.push({ indent: raw.length - raw.trimStart().length, text: content, line: index + 1 });
+
+        // The lines of block scalars are kept as they are
+        if (/(^|:\s+|^-\s+)[|>][-+]?$/.test(content)) {
+            const blockIndent = lines[lines.length - 1].indent;
+            const block = [];
+            while (index + 1 < rawLines.length && (!rawLines[index + 1].trim() || rawLines[index + 1].length - rawLines[index + 1].trimStart().length > blockIndent)) {
+                block.push(rawLines[++index]);
+            }
+            lines[lines.length - 1].block = block;
+        }
+    }
+
+    let position = 0;
+
+    /**
+     * Reads a block scalar
+     * @param {String} header - "|" or ">" with its chomping indicator
+     * @param {Array<String>} block - Lines of the block
+     * @returns {String}
+     */
+    const readBlockScalar = (header, block) => {
+        const indent = Math.min(...block.filter(raw => raw.trim()).map(raw => raw.length - raw.trimStart().length));
+        const contentLines = block.map(raw => raw.slice(indent));
+        while (contentLines.length && !contentLines[contentLines.length - 1].trim()) contentLines.pop();
+
+        let result = header.startsWith("|") ?
+            contentLines.join("\n") :
+            contentLines.reduce((result, current, index) => index == 0 ? current : result + (current && contentLines[index - 1] ? " " : "\n") + current, "");
+
+        if (header.endsWith("+")) result += "\n".repeat(block.length - contentLines.length + 1);
+        else if (!header.endsWith("-") && contentLines.length) result += "\n";
+        return result;
+    };
+
+    /**
+     * Reads the value that starts after a key or dash, which is either on the same line or on the more indented lines below it
+     * @param {String} rest - Text after the key or dash
+     * @param {any} current - Line of the key or dash
+     * @param {Number} parentIndent - Indentation of the key or dash
+     * @param {Boolean} isKey - Whether the value belongs to a key (Sequences of keys can be at the same indentation)
+     * @returns {any}
+     */
+    const readValue = (rest, current, parentIndent, isKey) => {
+        if (current.block) return readBlockScalar(rest.slice(-2).replace(/^\s/, ""), current.block);
+        if (rest) return parseYamlScalar(rest, current.line);
+
+        const next = lines[position];
+        if (next && (next.indent > parentIndent || (isKey && next.indent == parentIndent && /^-(\s|$)/.test(next.text)))) return readNode(next.indent);
+        return null;
+    };
+
+    /**
+     * Reads the mapping or sequence that starts at the current line
+     * @param {Number} indent - Indentation of the collection
+     * @returns {any}
+     */
+    const readNode = indent => {
+        const first = lines[position];
+
+        if (/^-(\s|$)/.test(first.text)) {
+            const result = [];
+
+            while (position < lines.length && lines[position].indent == indent && /^-(\s|$)/.test(lines[position].text)) {
+                const current = lines[position];
+                const rest = current.text.slice(1).trim();
+
+                // "- key: value" and "- - item" start a collection on the same line as the dash
+                if (!current.block && (/^-(\s|$)/.test(rest) || splitYamlKey(rest, current.line))) {
+                    lines[position] = { ...current, indent: indent + current.text.length - rest.length, text: rest };
+                    result.push(readNode(lines[position].indent));
+                    continue;
+                }
+
+                position++;
+                result.push(readValue(rest, current, indent, false));
+            }
+            return result;
+        }
+
+        /** @type {Object<String, any>} */
+        const result = {};
+        while (position < lines.length && lines[position].indent == indent && !/^-(\s|$)/.test(lines[position].text)) {
+            const current = lines[position];
+            const pair = splitYamlKey(current.text, current.line);
+            if (!pair) {
+                if (position == 0 && lines.length == 1) {
+                    position++;
+                    return parseYamlScalar(current.text, current.line);
+                }
+                throw new DatabaseError(`Expected a "key: value" pair on line ${current.line}`, invalidInput);
+            }
+
+            position++;
+            setProperty(result, pair[0], readValue(pair[1], current, indent, true));
+        }
+        return result;
+    };
+
+    if (lines.length == 0) return null;
+
+    const result = readNode(lines[0].indent);
+    if (position < lines.length) throw new DatabaseError(`Unexpected indentation on line ${lines[position].line}`, invalidInput);
+    return result;
+}
+
+
+/**
+ * Turns the rows into CSV, cells with the delimiter, quotes, line breaks or spaces at the ends are quoted
+ * @param {Array<Array<String>>} rows - Rows of cells
+ * @param {String} delimiter - Delimiter of the cells
+ * @returns {String}
+ */
+function stringifyCsv(rows, delimiter) {
+    return rows.map(row => row.map(cell => {
+        const needsQuotes = cell.includes(delimiter) || /["\r\n]|^\s|\s$/.test(cell);
+        return needsQuotes ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+
+/**
+ * Parses the CSV into rows of cells
+ * @param {String} text - CSV text
+ * @param {String} delimiter - Delimiter of the cells
+ * @returns {Array<Array<String>>}
+ */
+function parseCsv(text, delimiter) {
+    text = text.replace(/^\uFEFF/, "");
+
+    /** @type {Array<Array<String>>} */
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let isQuoted = false;
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (isQuoted) {
+            if (char == '"' && text[index + 1] == '"') {
+                cell += '"';
+                index += 2;
+                continue;
+            }
+            if (char == '"') isQuoted = false;
+            else cell += char;
+            index++;
+            continue;
+        }
+
+        if (char == '"' && cell == "") isQuoted = true;
+        else if (text.startsWith(delimiter, index)) {
+            row.push(cell);
+            cell = "";
+            index += delimiter.length;
+            continue;
+        } else if (char == "\r" || char == "\n") {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+            if (char == "\r" && text[index + 1] == "\n") index++;
+        } else cell += char;
+        index++;
+    }
+
+    if (isQuoted) throw new DatabaseError("A quoted CSV cell is never closed", invalidInput);
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Empty lines are skipped
+    return rows.filter(row => row.length > 1 || row[0] !== "");
+}
+
+export default {
+    stringifyYaml,
+    parseYaml,
+    stringifyCsv,
+    parseCsv
+};
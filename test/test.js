@@ -1,5 +1,7 @@
 const assert = require("assert");
 const fs = require("fs");
+const zlib = require("zlib");
+const childProcess = require("child_process");
 const AlisaDB = require("alisa.db");
 
 const dbFile = "__test.json";
@@ -50,6 +52,98 @@ assert.strictEqual(db.typeof("count"), "number");
 assert.strictEqual(db.find((k, v) => k === "count"), 6);
 assert.deepStrictEqual(db.filter((k, v) => typeof v === "number"), { a: 1, b: 2, c: 3, count: 6 });
 
+// Query objects
+db.setMany({ u1: { level: 12, tags: ["vip"] }, u2: { level: 3, tags: [] }, u3: { level: 20, tags: ["new"], banned: true } });
+assert.deepStrictEqual(Object.keys(db.filter({ "value.level": { $gte: 10 }, "value.tags": { $in: ["vip"] } })), ["u1"]);
+assert.deepStrictEqual(Object.keys(db.filter({ $or: [{ "value.level": { $lt: 5 } }, { "value.banned": { $exists: true } }] })), ["u2", "u3"]);
+assert.deepStrictEqual(Object.keys(db.filter({ key: { $regex: "^u", $nin: ["u1"] }, $not: { "value.tags": [] } })), ["u3"]);
+assert.deepStrictEqual(db.find({ "value.tags": ["new"] }), { level: 20, tags: ["new"], banned: true });
+assert.throws(() => db.filter({ value: { $near: 1 } }), { code: 4 });
+
+// Sorting, pagination and projection
+assert.deepStrictEqual(db.select({ where: { "value.level": { $gte: 10 } }, sort: { "value.level": -1 }, fields: ["value.level"] }), {
+  total: 2,
+  results: [{ key: "u3", value: { level: 20 } }, { key: "u1", value: { level: 12 } }]
+});
+assert.deepStrictEqual(db.query().where({ key: { $regex: "^u" } }).sort("value.banned", "desc").sort("key", -1).skip(1).limit(1).run(), {
+  total: 3,
+  results: [{ key: "u2", value: { level: 3, tags: [] } }]
+});
+
+// Indexes
+let checked = 0;
+db.createIndex("value.tags");
+assert.deepStrictEqual(Object.keys(db.filter({ "value.tags": "vip" })), []);
+assert.deepStrictEqual(Object.keys(db.filter((key, value) => ++checked && Array.isArray(value?.tags) && value.tags.includes("new"))), ["u3"]);
+assert.ok(checked > 3);
+assert.deepStrictEqual(db.select({ where: [(key, value, index, entries) => (checked = entries.length, true), { "value.tags": { $in: ["vip", "new"] } }] }).total, 2);
+assert.strictEqual(checked, 2);
+db.push("u2.tags", "vip");
+assert.deepStrictEqual(Object.keys(db.filter({ "value.tags": { $in: ["vip"] } })), ["u1", "u2"]);
+db.createIndex("value.level", { unique: true });
+assert.throws(() => db.set("u2.level", 12), { code: 12 });
+assert.strictEqual(db.get("u2.level"), 3);
+assert.throws(() => db.setMany({ u4: { level: 20 } }), { code: 12 });
+assert.strictEqual(db.has("u4"), false);
+assert.throws(() => db.setMany({ u2: { level: 12 }, u5: { level: 30 } }), { code: 12 });
+assert.deepStrictEqual([db.get("u2.level"), db.has("u5")], [3, false]);
+assert.throws(() => db.setFile({ ...db.toJSON(), u5: { level: 3 } }), { code: 12 });
+assert.strictEqual(db.has("u5"), false);
+assert.throws(() => db.createIndex("value.tags", { unique: true }), { code: 12 });
+db.set("u2.level", 13);
+assert.strictEqual(db.find({ "value.level": 13 }).level, 13);
+db.create("__txOther.json");
+let rolledBack = false;
+db.on("rollback", () => rolledBack = true);
+assert.throws(() => db.transaction(tx => {
+  tx.set("u2.level", 14);
+  assert.deepStrictEqual(Object.keys(tx.filter({ "value.level": 14 })), ["u2"]);
+  tx.set("x", 2, "__txOther.json");
+  tx.set("u1.level", 14);
+}), { code: 12 });
+assert.ok(rolledBack);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__txOther.json", "utf-8")), {});
+assert.strictEqual(db.find({ "value.level": 13 }).level, 13);
+db.destroy("__txOther.json");
+assert.strictEqual(db.dropIndex("value.level"), true);
+db.dropIndex("value.tags");
+db.shift("u2.tags");
+db.set("u2.level", 3);
+
+// Reverse value index
+db.setMany({ r1: "admin", r2: ["admin"], r3: "admin" });
+assert.deepStrictEqual(db.getAllFromValue("admin"), ["r1", "r3"]);
+db.createIndex("value");
+assert.deepStrictEqual(db.getAllFromValue("admin"), ["r1", "r3"]);
+db.delete("r1");
+assert.strictEqual(db.getFromValue("admin"), "r3");
+assert.deepStrictEqual(db.getAllFromValue("user"), []);
+assert.deepStrictEqual(db.getManyFromValue([["admin"], "admin"]), ["r2", "r3"]);
+assert.strictEqual(db.hasAllValue(["admin", ["admin"]]), true);
+db.set("r3", "mod");
+assert.strictEqual(db.hasValue("admin"), false);
+assert.strictEqual(db.hasAnyValue(["mod", "user"]), true);
+db.dropIndex("value");
+db.deleteMany(["r2", "r3"]);
+
+// Aggregation
+db.set("u2.tags", "none");
+assert.strictEqual(db.count({ key: { $regex: "^u" } }), 3);
+assert.strictEqual(db.sum("value.level", { key: { $regex: "^u" } }), 35);
+assert.strictEqual(db.avg("value.level", { "value.level": { $lt: 15 } }), 7.5);
+assert.strictEqual(db.avg("value.missing"), undefined);
+assert.strictEqual(db.max("value.level"), "u3");
+assert.strictEqual(db.min("value.level"), "u2");
+assert.deepStrictEqual(db.distinct("value.tags"), [["vip"], "none", ["new"]]);
+assert.deepStrictEqual(Object.keys(db.groupBy("value.banned")), ["true"]);
+db.set("u1.team", "__proto__");
+db.set("u3.team", "constructor");
+const teams = db.groupBy("value.team");
+assert.deepStrictEqual(Object.keys(teams).sort(), ["__proto__", "constructor"]);
+assert.deepStrictEqual(Object.keys(teams.constructor), ["u3"]);
+assert.strictEqual(({}).u1, undefined);
+assert.deepStrictEqual(db.filterAndDelete({ key: { $in: ["u1", "u2", "u3"] } }).length, 3);
+
 // Reset / Create / Destroy
 assert.deepStrictEqual(db.reset(), {});
 db.create("newfile.json", { hello: "world" });
@@ -57,6 +151,63 @@ assert.strictEqual(new AlisaDB("newfile.json").get("hello"), "world");
 db.destroy("newfile.json");
 assert.strictEqual(fs.existsSync("newfile.json"), false);
 
+// Nested keys
+const pathEvents = [];
+db.on("add", ({ key, rootKey }) => pathEvents.push([key, rootKey]));
+assert.strictEqual(db.add("users.123.coins", 5), 5);
+assert.deepStrictEqual(db.push("guilds.9.roles", "mod"), ["mod"]);
+assert.deepStrictEqual(db.get("users"), { 123: { coins: 5 } });
+assert.strictEqual(db.get("guilds.9.roles.0"), "mod");
+assert.strictEqual(db.has("guilds.9.missing.key"), false);
+db.set("files.config\\.json", true);
+assert.deepStrictEqual(db.get("files"), { "config.json": true });
+assert.deepStrictEqual(pathEvents, [["users.123.coins", "users"]]);
+assert.throws(() => db.set("users.123.coins.total", 1), { code: 4 });
+assert.strictEqual(db.delete("guilds.9.roles.0"), "mod");
+assert.deepStrictEqual(JSON.parse(fs.readFileSync(dbFile, "utf-8")).guilds, { 9: { roles: [] } });
+assert.throws(() => db.set("__proto__.polluted", "yes"), { code: 4 });
+assert.throws(() => db.add("users.constructor.prototype.coins", 1), { code: 4 });
+assert.strictEqual(({}).polluted, undefined);
+assert.strictEqual(db.get("users.toString"), undefined);
+assert.strictEqual(db.has("users.123.hasOwnProperty"), false);
+db.deleteMany(["users", "guilds", "files"]);
+
+// Rich types
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+}
+assert.strictEqual(AlisaDB.registerType("Money", Money), true);
+assert.throws(() => AlisaDB.registerType("Date", Date), { code: 4 });
+const richValue = {
+  date: new Date(0),
+  big: 2n ** 64n,
+  map: new Map([["at", new Date(5)]]),
+  set: new Set([1, "a"]),
+  buffer: Buffer.from("hi"),
+  regex: /a.b/gi,
+  tagged: { $type: "Date", value: "not a date" },
+  price: new Money(5, "USD")
+};
+db.set("rich", richValue);
+const richDb = new AlisaDB(dbFile);
+assert.deepStrictEqual(richDb.get("rich"), richValue);
+assert.ok(richDb.get("rich.price") instanceof Money);
+assert.strictEqual(richDb.typeof("rich.date"), "date");
+assert.strictEqual(richDb.typeof("rich.buffer"), "buffer");
+assert.strictEqual(richDb.typeof("rich.price"), "Money");
+assert.strictEqual(richDb.typeof("rich.tagged"), "object");
+assert.strictEqual(richDb.hasValue({ ...richValue, map: new Map([["at", new Date(5)]]) }), true);
+assert.strictEqual(richDb.hasValue({ ...richValue, date: new Date(1) }), false);
+assert.throws(() => db.add("rich.big", 1), { code: 7 });
+assert.throws(() => db.multi("rich.price.amount", 2n), { code: 7 });
+assert.strictEqual(db.get("rich.big"), 2n ** 64n);
+assert.throws(() => db.add("rich.date", 5), { code: 7 });
+assert.deepStrictEqual(db.get("rich.date"), new Date(0));
+db.delete("rich");
+
 // Events
 let gotSet = false;
 db.on("set", ({ key }) => {
@@ -65,6 +216,449 @@ db.on("set", ({ key }) => {
 db.set("eventKey", 42);
 assert.ok(gotSet, "Event 'set' should trigger");
 
-// Final cleanup
-db.destroy();
-console.log("\n✅ All tests passed successfully!");
+// Atomic writes
+db.set("atomic", { nested: [1, 2, 3] });
+assert.deepStrictEqual(JSON.parse(fs.readFileSync(dbFile, "utf-8")).atomic, { nested: [1, 2, 3] });
+assert.strictEqual(fs.readdirSync(".").some(file => file.startsWith(`${dbFile}.`) && file.endsWith(".tmp")), false);
+
+// Journal
+const journalDb = new AlisaDB("__journal.json", { journal: true });
+journalDb.set("user", { coins: 10 });
+journalDb.add("count", 3);
+journalDb.delete("user");
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__journal.json", "utf-8")), {});
+assert.strictEqual(fs.existsSync("__journal.wal"), true);
+fs.appendFileSync("__journal.wal", '{"op":"set","set":{"torn"');
+assert.deepStrictEqual(new AlisaDB("__journal.json", { journal: true }).toJSON(), { count: 3 });
+journalDb.set("afterCrash", true);
+assert.deepStrictEqual(new AlisaDB("__journal.json", { journal: true }).toJSON(), { count: 3, afterCrash: true });
+journalDb.checkpoint();
+assert.strictEqual(fs.existsSync("__journal.wal"), false);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__journal.json", "utf-8")), { count: 3, afterCrash: true });
+journalDb.destroy();
+
+// Batched autoWrite
+const batchDb = new AlisaDB("__batch.json", { autoWrite: { interval: 50, operations: 3 } });
+const coalesced = [];
+batchDb.on("writeFile", ({ operations }) => coalesced.push(operations));
+batchDb.add("count", 1);
+batchDb.add("count", 1);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__batch.json", "utf-8")), {});
+batchDb.add("count", 1);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__batch.json", "utf-8")), { count: 3 });
+batchDb.add("count", 1);
+batchDb.flush();
+assert.deepStrictEqual(coalesced, [3, 1]);
+batchDb.add("count", 1);
+
+// Dirty tracking
+const manualDb = new AlisaDB("__manual.json", { cache: true, autoWrite: false });
+assert.strictEqual(manualDb.isDirty(), false);
+manualDb.set("hello", "World");
+assert.strictEqual(manualDb.isDirty(), true);
+assert.deepStrictEqual(manualDb.dirtyFiles(), ["__manual"]);
+assert.deepStrictEqual(manualDb.writeAll(), { written: ["__manual"], skipped: [] });
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__manual.json", "utf-8")), { hello: "World" });
+assert.deepStrictEqual(manualDb.writeAll(), { written: [], skipped: ["__manual"] });
+assert.deepStrictEqual(manualDb.dirtyFiles(), []);
+manualDb.destroy();
+
+// Flush on exit
+const exitDb = new AlisaDB("__exit.json", { cache: true, autoWrite: false, flushOnExit: true });
+const sigintListeners = process.listenerCount("SIGINT");
+exitDb.set("saved", true);
+exitDb.close();
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__exit.json", "utf-8")), { saved: true });
+assert.strictEqual(process.listenerCount("SIGINT"), sigintListeners - 1);
+const child = childProcess.spawnSync(process.execPath, ["-e", `
+  const db = new (require("alisa.db"))("__exit.json", { cache: true, autoWrite: false, flushOnExit: true });
+  db.set("signal", "SIGINT");
+  process.kill(process.pid, "SIGINT");
+  setTimeout(() => {}, 5000);
+`]);
+assert.strictEqual(child.signal, "SIGINT");
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__exit.json", "utf-8")), { saved: true, signal: "SIGINT" });
+const exitChild = childProcess.spawnSync(process.execPath, ["-e", `
+  const db = new (require("alisa.db"))("__exit.json", { cache: true, autoWrite: false, flushOnExit: true });
+  db.on("shutdown", ({ reason }) => console.log(reason));
+  db.set("exited", true);
+  process.exit(3);
+`], { encoding: "utf-8" });
+assert.deepStrictEqual([exitChild.status, exitChild.stdout], [3, "exit\n"]);
+assert.strictEqual(JSON.parse(fs.readFileSync("__exit.json", "utf-8")).exited, true);
+exitDb.destroy();
+
+// Locking
+const lockDb = new AlisaDB("__lock.json", { cache: true, lock: true, lockTimeout: 50 });
+fs.writeFileSync("__lock.json.lock", `${process.pid}\n${Date.now()}`);
+assert.throws(() => lockDb.set("blocked", true), { code: 11 });
+fs.writeFileSync("__lock.json.lock", `${child.pid}\n${Date.now()}`);
+lockDb.set("stale", true);
+assert.strictEqual(fs.existsSync("__lock.json.lock"), false);
+assert.strictEqual(fs.readdirSync(".").some(file => file.startsWith("__lock.json.lock.")), false);
+
+// Transactions
+const txDb = new AlisaDB("__tx.json", { cache: true });
+txDb.setMany({ alice: 100, bob: 0 });
+const txEvents = [];
+txDb.on("writeFile", () => txEvents.push("writeFile"));
+txDb.on("add", ({ key }) => txEvents.push(`add:${key}`));
+txDb.transaction(tx => {
+  tx.substr("alice", 50);
+  assert.deepStrictEqual(txEvents, []);
+  tx.add("bob", 50);
+});
+assert.deepStrictEqual(txEvents, ["writeFile", "add:bob"]);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__tx.json", "utf-8")), { alice: 50, bob: 50 });
+assert.throws(() => txDb.transaction(tx => {
+  tx.substr("alice", 50);
+  tx.add("bob", "fifty");
+}), { code: 7 });
+assert.deepStrictEqual(txDb.toJSON(), { alice: 50, bob: 50 });
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__tx.json", "utf-8")), { alice: 50, bob: 50 });
+assert.deepStrictEqual(txEvents, ["writeFile", "add:bob"]);
+assert.throws(() => txDb.transaction(tx => tx.create("__txCreated.json")), { code: 5 });
+assert.throws(() => txDb.transaction(tx => tx.clone("__txClone.json")), { code: 5 });
+assert.strictEqual(fs.existsSync("__txCreated.json") || fs.existsSync("__txClone.json"), false);
+txDb.destroy();
+
+// Expiring keys
+const ttlDb = new AlisaDB("__ttl.json", { cache: true, ttlInterval: 10 });
+ttlDb.set("session", "abc", { ttl: 60000 });
+ttlDb.set("bans.1", "spam");
+assert.ok(ttlDb.ttl("session") > 59000 && ttlDb.ttl("session") <= 60000);
+assert.strictEqual(ttlDb.ttl("bans.1"), -1);
+assert.strictEqual(ttlDb.ttl("missing"), -2);
+assert.strictEqual(ttlDb.expire("bans.1", 60000), true);
+assert.strictEqual(ttlDb.expire("missing", 60000), false);
+assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync("__ttl.ttl.json", "utf-8"))), ["session", "bans.1"]);
+assert.strictEqual(ttlDb.persist("bans.1"), true);
+assert.strictEqual(ttlDb.persist("bans.1"), false);
+ttlDb.set("session", "def");
+assert.strictEqual(ttlDb.ttl("session"), -1);
+assert.strictEqual(fs.existsSync("__ttl.ttl.json"), false);
+assert.throws(() => ttlDb.set("session", "def", { ttl: -5 }), { code: 3 });
+fs.writeFileSync("__ttl.ttl.json", JSON.stringify({ "bans.1": Date.now() - 1 }));
+const restartedTtlDb = new AlisaDB("__ttl.json");
+assert.strictEqual(restartedTtlDb.has("bans.1"), false);
+assert.deepStrictEqual(restartedTtlDb.toJSON(), { session: "def", bans: {} });
+assert.strictEqual(fs.existsSync("__ttl.ttl.json"), false);
+restartedTtlDb.set("code", 1234, { ttl: 60000 });
+assert.throws(() => restartedTtlDb.transaction(tx => {
+  tx.set("code", 5678, { ttl: 20 });
+  tx.expire("session", 20);
+  assert.ok(tx.ttl("code") <= 20 && tx.ttl("session") <= 20);
+  throw new Error("rollback");
+}), /rollback/);
+assert.ok(restartedTtlDb.ttl("code") > 59000);
+assert.strictEqual(restartedTtlDb.ttl("session"), -1);
+assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync("__ttl.ttl.json", "utf-8"))), ["code"]);
+restartedTtlDb.transaction(tx => {
+  tx.persist("code");
+  tx.set("bans.2", "spam", { ttl: 60000 });
+  tx.delete("bans.2");
+});
+assert.strictEqual(restartedTtlDb.ttl("code"), -1);
+assert.strictEqual(fs.existsSync("__ttl.ttl.json"), false);
+restartedTtlDb.set("otp", 4321, { ttl: 5 });
+restartedTtlDb.transaction(tx => {
+  tx.set("level", 1);
+  const until = Date.now() + 10;
+  while (Date.now() < until);
+  assert.strictEqual(tx.has("otp"), false);
+});
+assert.strictEqual(restartedTtlDb.has("otp"), false);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__ttl.json", "utf-8")), { session: "def", bans: {}, code: 1234, level: 1 });
+restartedTtlDb.destroy();
+
+// Storage adapters
+const memory = new AlisaDB.MemoryAdapter();
+const memoryDb = new AlisaDB("__memory.json", { adapter: memory, journal: true });
+memoryDb.set("user", { coins: 10 });
+memoryDb.set("code", 1234, { ttl: 60000 });
+memoryDb.add("user.coins", 5);
+assert.deepStrictEqual(memory.list().sort(), ["__memory.json", "__memory.ttl.json", "__memory.wal"]);
+assert.deepStrictEqual(new AlisaDB("__memory.json", { adapter: memory, journal: true }).get("user"), { coins: 15 });
+const fullDisk = { read: filePath => memory.read(filePath), write: (filePath, data) => memory.write(filePath, data), exists: filePath => memory.exists(filePath), remove: filePath => memory.remove(filePath), list: () => memory.list(), append() { throw new Error("disk full"); } };
+const fullDiskDb = new AlisaDB("__memory.json", { adapter: fullDisk, journal: true });
+assert.throws(() => fullDiskDb.add("user.coins", 5), /disk full/);
+assert.strictEqual(fullDiskDb.get("user.coins"), 15);
+memoryDb.checkpoint();
+memoryDb.create("__memory2.json", { hello: "world" });
+assert.deepStrictEqual(JSON.parse(memory.read("__memory2.json")), { hello: "world" });
+memoryDb.destroy("__memory2.json");
+assert.strictEqual(memory.exists("__memory2.json"), false);
+assert.strictEqual(fs.readdirSync(".").some(file => file.startsWith("__memory")), false);
+assert.throws(() => new AlisaDB("__memory.json", { adapter: { read() { } } }), { code: 4 });
+assert.throws(() => new AlisaDB("__memory.json", { adapter: memory, lock: true }), { code: 4 });
+
+// In-memory databases
+const cwdFiles = fs.readdirSync(".").sort();
+const inMemoryDb = new AlisaDB(":memory:");
+const memoryEvents = [];
+inMemoryDb.on("push", ({ fileName, key }) => memoryEvents.push([fileName, key]));
+inMemoryDb.set("user", { coins: 10, roles: [] });
+inMemoryDb.add("user.coins", 5);
+inMemoryDb.push("user.roles", "admin");
+assert.deepStrictEqual(inMemoryDb.find({ "value.coins": 15 }), { coins: 15, roles: ["admin"] });
+assert.deepStrictEqual(memoryEvents, [["database", "user.roles"]]);
+inMemoryDb.clone("__memoryClone.json");
+assert.strictEqual(inMemoryDb.get("user.coins", undefined, "__memoryClone.json"), 15);
+assert.throws(() => inMemoryDb.create("__memoryClone.json"), { code: 9 });
+inMemoryDb.destroy("__memoryClone.json");
+assert.strictEqual(new AlisaDB("__memoryOption.json", { storage: "memory" }).set("a", 1).a, 1);
+assert.deepStrictEqual(fs.readdirSync(".").sort(), cwdFiles);
+assert.strictEqual(inMemoryDb.saveToDisk("__saved.json"), "__saved.json");
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__saved.json", "utf-8")), { user: { coins: 15, roles: ["admin"] } });
+fs.unlinkSync("__saved.json");
+assert.throws(() => new AlisaDB(":memory:", { adapter: new AlisaDB.FileSystemAdapter() }), { code: 4 });
+
+// Import / export
+const seedDb = new AlisaDB(":memory:");
+seedDb.setMany({
+  ali: { level: 12, team: "red", tags: ["vip"], address: { city: "Ankara, TR" } },
+  fearless: { level: 3 },
+  note: "line1\nline2",
+  code: "007",
+  joined: new Date(0)
+});
+const exportEvents = [];
+seedDb.on("export", ({ format }) => exportEvents.push(format));
+assert.strictEqual(seedDb.export("csv").split("\r\n")[0], "key,value.level,value.team,value.tags,value.address.city,value");
+assert.strictEqual(seedDb.export("ndjson").split("\n")[1], '{"key":"fearless","value":{"level":3}}');
+assert.strictEqual(seedDb.export("yaml").split("\n").slice(0, 3).join("\n"), "ali:\n  level: 12\n  team: red");
+for (const format of ["yaml", "ndjson", "csv"]) {
+  const importDb = new AlisaDB(":memory:");
+  importDb.import(format, seedDb.export(format, undefined, { delimiter: ";" }), { delimiter: ";" });
+  assert.deepStrictEqual(importDb.toJSON(), seedDb.toJSON());
+}
+assert.deepStrictEqual(exportEvents, ["csv", "ndjson", "yaml", "yaml", "ndjson", "csv"]);
+seedDb.import("csv", 'key,level,name\nbo,5,"Bo ""the"" builder"\n');
+assert.deepStrictEqual(seedDb.get("bo"), { level: 5, name: 'Bo "the" builder' });
+seedDb.import("yaml", "# Seed data\nusers:\n  - name: ali  # admin\n    roles: [admin, mod]\n", { mode: "replace" });
+assert.deepStrictEqual(seedDb.toJSON(), { users: [{ name: "ali", roles: ["admin", "mod"] }] });
+assert.throws(() => seedDb.import("csv", "name\nali\n"), { code: 4 });
+assert.throws(() => seedDb.import("xml", "<a/>"), { code: 4 });
+assert.throws(() => seedDb.import("ndjson", "{ broken"), { code: 4 });
+assert.throws(() => seedDb.import("csv", "key,__proto__.evil\na,1\n"), { code: 4 });
+assert.throws(() => seedDb.import("ndjson", '{"key":"__proto__","value":{"evil":1}}\n'), { code: 4 });
+seedDb.import("yaml", "nested:\n  __proto__:\n    evil: 1\n");
+assert.strictEqual(({}).evil, undefined);
+assert.strictEqual(Object.getPrototypeOf(seedDb.get("nested")), Object.prototype);
+
+// Encryption
+const encryptedDb = new AlisaDB("__encrypted.json", { cache: true, journal: true, encryption: { key: "secret" } });
+encryptedDb.set("token", "oauth-token");
+encryptedDb.set("session", "abc", { ttl: 60000 });
+for (const file of ["__encrypted.json", "__encrypted.wal", "__encrypted.ttl.json"]) {
+  assert.strictEqual(fs.readFileSync(file, "utf-8").includes("token") || fs.readFileSync(file, "utf-8").includes("session"), false);
+}
+assert.strictEqual(new AlisaDB("__encrypted.json", { journal: true, encryption: { key: "secret" } }).get("token"), "oauth-token");
+assert.throws(() => new AlisaDB("__encrypted.json", { cache: true, encryption: { key: "wrong" } }), { code: 13 });
+assert.throws(() => new AlisaDB("__encrypted.json", { cache: true }), { code: 13 });
+assert.deepStrictEqual(encryptedDb.rekey(Buffer.alloc(32, 7)), ["__encrypted"]);
+assert.strictEqual(fs.existsSync("__encrypted.wal"), false);
+const rekeyedDb = new AlisaDB("__encrypted.json", { cache: true, encryption: { key: Buffer.alloc(32, 7) } });
+assert.strictEqual(rekeyedDb.get("token"), "oauth-token");
+assert.ok(rekeyedDb.ttl("session") > 0);
+const tampered = JSON.parse(fs.readFileSync("__encrypted.json", "utf-8"));
+tampered.data = Buffer.from("{}").toString("base64");
+fs.writeFileSync("__encrypted.json", JSON.stringify(tampered));
+assert.throws(() => new AlisaDB("__encrypted.json", { cache: true, encryption: { key: Buffer.alloc(32, 7) } }), { code: 13 });
+assert.throws(() => new AlisaDB("__encrypted.json", { encryption: { key: Buffer.alloc(16) } }), { code: 4 });
+encryptedDb.destroy();
+
+// Compression
+const gzipDb = new AlisaDB("__gzip.json", { compression: "gzip" });
+gzipDb.set("text", "compressible ".repeat(100));
+assert.strictEqual(fs.existsSync("__gzip.json"), false);
+assert.strictEqual(JSON.parse(zlib.gunzipSync(fs.readFileSync("__gzip.json.gz"))).text, "compressible ".repeat(100));
+assert.strictEqual(new AlisaDB("__gzip.json.gz", { compression: "gzip" }).get("text").length, 1300);
+fs.writeFileSync("__plain.json", JSON.stringify({ plain: true }));
+const brotliDb = new AlisaDB("__plain.json", { compression: "brotli" });
+assert.strictEqual(brotliDb.get("plain"), true);
+assert.deepStrictEqual(brotliDb.migrateCompression(), ["__plain"]);
+assert.deepStrictEqual([fs.existsSync("__plain.json"), fs.existsSync("__plain.json.br")], [false, true]);
+brotliDb.rekey("secret");
+assert.strictEqual(new AlisaDB("__plain", { compression: "brotli", encryption: { key: "secret" } }).get("plain"), true);
+assert.throws(() => new AlisaDB("__plain", { compression: "brotli" }).get("plain"), { code: 13 });
+assert.throws(() => new AlisaDB("__gzip.json", { compression: "zip" }), { code: 4 });
+const textAdapter = { read: memory.read.bind(memory), write: memory.write.bind(memory), exists: memory.exists.bind(memory), remove: memory.remove.bind(memory), list: memory.list.bind(memory) };
+assert.throws(() => new AlisaDB("__memoryGzip.json", { adapter: textAdapter, compression: "gzip" }), { code: 4 });
+new AlisaDB("__memoryGzip.json", { adapter: memory, compression: "gzip" }).set("text", "compressible ".repeat(100));
+assert.strictEqual(typeof memory.read("__memoryGzip.json.gz"), "string");
+assert.strictEqual(new AlisaDB("__memoryGzip.json", { adapter: memory, compression: "gzip" }).get("text").length, 1300);
+assert.throws(() => new AlisaDB("__memoryGzip.json", { adapter: textAdapter }).get("text"), { code: 4 });
+brotliDb.destroy();
+gzipDb.destroy();
+
+// Corruption detection
+fs.writeFileSync("__corrupt.json", '{ "broken": ');
+const corruptions = [];
+const corruptDb = new AlisaDB("__corrupt.json");
+corruptDb.on("corrupt", ({ filePath, backup }) => corruptions.push([filePath, backup]));
+assert.throws(() => corruptDb.get("broken"), { code: 14 });
+assert.deepStrictEqual(corruptions, [["__corrupt.json", null]]);
+corruptDb.destroy();
+const checksumDb = new AlisaDB("__checksum.json", { checksum: true });
+checksumDb.set("coins", 100);
+assert.strictEqual(fs.readFileSync("__checksum.json.bak", "utf-8"), fs.readFileSync("__checksum.json", "utf-8"));
+fs.writeFileSync("__checksum.json", fs.readFileSync("__checksum.json", "utf-8").replace("100", "999"));
+checksumDb.on("corrupt", ({ backup }) => corruptions.push(backup));
+assert.strictEqual(checksumDb.get("coins"), 100);
+assert.strictEqual(checksumDb.get("coins"), 100);
+assert.deepStrictEqual(corruptions.slice(1), ["__checksum.json.bak"]);
+fs.writeFileSync("__checksum.json", "{");
+assert.strictEqual(new AlisaDB("__checksum.json", { cache: true, checksum: true, spaces: 2 }).get("coins"), 100);
+assert.strictEqual(fs.readFileSync("__checksum.json", "utf-8"), JSON.stringify({ coins: 100 }, null, 2));
+assert.strictEqual(new AlisaDB("__checksum.json").set("coins", 5) && fs.existsSync("__checksum.json.sha256"), false);
+checksumDb.destroy();
+assert.strictEqual(fs.existsSync("__checksum.json.bak"), false);
+
+// Backups
+const backupDb = new AlisaDB("__backup.json", { cache: true, backup: { directory: "__backups", keep: 2 } });
+const restores = [];
+backupDb.on("restore", ({ backupId }) => restores.push(backupId));
+const backupIds = [1, 2, 3].map(version => backupDb.set("version", version) && backupDb.backup());
+assert.deepStrictEqual(backupDb.listBackups().map(({ id }) => id), [backupIds[2], backupIds[1]]);
+assert.strictEqual(fs.existsSync(`__backups/${backupIds[0]}.json`), false);
+backupDb.set("version", 4);
+assert.deepStrictEqual(backupDb.restore(backupIds[1]), { version: 2 });
+assert.strictEqual(backupDb.get("version"), 2);
+assert.deepStrictEqual(JSON.parse(fs.readFileSync("__backup.json", "utf-8")), { version: 2 });
+assert.deepStrictEqual(restores, [backupIds[1]]);
+assert.throws(() => backupDb.restore(backupIds[0]), { code: 4 });
+fs.writeFileSync("__backup.json", "{");
+assert.strictEqual(new AlisaDB("__backup.json", { backup: { directory: "__backups" } }).get("version"), 3);
+for (const stamp of ["2020-01-01T10-00-00-000Z", "2020-01-01T12-00-00-000Z", "2020-01-02T08-00-00-000Z"]) fs.writeFileSync(`__backups/__backup-${stamp}.json`, "{}");
+const dailyDb = new AlisaDB("__backup.json", { backup: { directory: "__backups", daily: 2 } });
+const dailyId = dailyDb.backup();
+assert.deepStrictEqual(dailyDb.listBackups().map(({ id }) => id), [dailyId, "__backup-2020-01-02T08-00-00-000Z"]);
+assert.throws(() => new AlisaDB("__backup.json", { backup: { keep: -1 } }), { code: 3 });
+backupDb.destroy();
+fs.rmSync("__backups", { recursive: true });
+
+// Async API
+async function asyncTests() {
+  const expired = [];
+  ttlDb.on("expire", ({ key, value }) => expired.push([key, value]));
+  ttlDb.set("code", 1234, { ttl: 20 });
+  ttlDb.set("deleted", true, { ttl: 20 });
+  ttlDb.delete("deleted");
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(expired, [["code", 1234]]);
+  assert.strictEqual("code" in JSON.parse(fs.readFileSync("__ttl.json", "utf-8")), false);
+  ttlDb.destroy();
+  ttlDb.close();
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync("__batch.json", "utf-8")), { count: 5 });
+  assert.deepStrictEqual(coalesced, [3, 1, 1]);
+  batchDb.destroy();
+
+  const watchDb = new AlisaDB("__watch.json", { watch: true, watchInterval: 20 });
+  const reloads = [];
+  watchDb.on("reload", ({ added, removed, changed }) => reloads.push({ added, removed, changed }));
+  watchDb.setMany({ keep: 1, remove: 2, change: 3 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(reloads, []);
+  fs.writeFileSync("__watch.json", '{ "keep": 1, "change": ');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  fs.writeFileSync("__watch.json", JSON.stringify({ keep: 1, change: 4, add: 5 }));
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.deepStrictEqual(reloads, [{ added: ["add"], removed: ["remove"], changed: ["change"] }]);
+  assert.strictEqual(watchDb.get("change"), 4);
+  watchDb.destroy();
+  watchDb.close();
+
+  const workers = Array.from({ length: 2 }, () => new Promise(resolve => childProcess.spawn(process.execPath, ["-e", `
+    const db = new (require("alisa.db"))("__lock.json", { cache: true, lock: true });
+    for (let i = 0; i < 200; i++) db.add("count", 1);
+  `], { stdio: "inherit" }).on("exit", resolve)));
+  assert.deepStrictEqual(await Promise.all(workers), [0, 0]);
+  assert.strictEqual(lockDb.get("count"), 400);
+  lockDb.destroy();
+
+  const asyncDb = new AlisaDB("__async.json");
+  let added = 0;
+  asyncDb.on("add", () => added++);
+
+  assert.strictEqual((await asyncDb.async.set("name", "Ali")).name, "Ali");
+  assert.strictEqual(await asyncDb.async.get("name"), "Ali");
+  await Promise.all(Array.from({ length: 20 }, () => asyncDb.async.add("count", 1)));
+  assert.strictEqual(JSON.parse(fs.readFileSync("__async.json", "utf-8")).count, 20);
+  assert.strictEqual(added, 20);
+  await assert.rejects(asyncDb.async.add("name", 1), { code: 7 });
+  assert.strictEqual(await asyncDb.async.createIndex("value", { unique: true, fileName: "__async.json" }), true);
+  await assert.rejects(asyncDb.async.set("nickname", "Ali"), { code: 12 });
+  assert.strictEqual(await asyncDb.async.dropIndex("value", "__async.json"), true);
+  assert.deepStrictEqual([await asyncDb.async.isDirty(), await asyncDb.async.dirtyFiles()], [false, []]);
+  const asyncExitDb = new AlisaDB("__asyncExit.json", { cache: true, autoWrite: false, flushOnExit: true });
+  asyncExitDb.set("saved", true);
+  assert.strictEqual(await asyncExitDb.async.close(), true);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync("__asyncExit.json", "utf-8")), { saved: true });
+  asyncExitDb.destroy();
+  await asyncDb.async.destroy();
+  assert.strictEqual(fs.existsSync("__async.json"), false);
+
+  assert.strictEqual(await inMemoryDb.async.saveToDisk("__saved.json"), "__saved.json");
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync("__saved.json", "utf-8")), { user: { coins: 15, roles: ["admin"] } });
+  fs.unlinkSync("__saved.json");
+
+  const asyncEncryptedDb = new AlisaDB("__asyncEncrypted.json", { encryption: { key: "secret" } });
+  asyncEncryptedDb.set("token", "oauth-token");
+  assert.deepStrictEqual(await asyncEncryptedDb.async.rekey("new secret", ["__asyncEncrypted.json"]), ["__asyncEncrypted"]);
+  assert.strictEqual(new AlisaDB("__asyncEncrypted.json", { encryption: { key: "new secret" } }).get("token"), "oauth-token");
+  asyncEncryptedDb.destroy();
+
+  fs.writeFileSync("__asyncPlain.json", JSON.stringify({ plain: true }));
+  const asyncGzipDb = new AlisaDB("__asyncPlain.json", { compression: "gzip" });
+  assert.deepStrictEqual(await asyncGzipDb.async.migrateCompression(), ["__asyncPlain"]);
+  assert.deepStrictEqual([fs.existsSync("__asyncPlain.json"), fs.existsSync("__asyncPlain.json.gz")], [false, true]);
+  asyncGzipDb.destroy();
+
+  const asyncBackupDb = new AlisaDB("__asyncBackup.json", { backup: { directory: "__asyncBackups" } });
+  asyncBackupDb.set("version", 1);
+  const asyncBackupId = await asyncBackupDb.async.backup();
+  assert.deepStrictEqual((await asyncBackupDb.async.listBackups()).map(({ id }) => id), [asyncBackupId]);
+  asyncBackupDb.destroy();
+  fs.rmSync("__asyncBackups", { recursive: true });
+
+  await memoryDb.async.set("async", true);
+  assert.strictEqual(JSON.parse(memory.read("__memory.wal").trim().split("\n").pop()).set.async, true);
+  const fullDiskAsyncDb = new AlisaDB("__memory.json", { adapter: { ...fullDisk, appendAsync: async () => { throw new Error("disk full"); } }, journal: true });
+  await assert.rejects(fullDiskAsyncDb.async.set("async", false), /disk full/);
+  assert.strictEqual(fullDiskAsyncDb.get("async"), true);
+
+  const asyncJournalDb = new AlisaDB("__asyncJournal.json", { journal: true, lock: true });
+  await asyncJournalDb.async.add("count", 2);
+  assert.strictEqual(fs.readFileSync("__asyncJournal.wal", "utf-8").trim().split("\n").length, 1);
+  assert.strictEqual(fs.existsSync("__asyncJournal.json.lock"), false);
+  await asyncJournalDb.async.checkpoint();
+  assert.strictEqual(fs.existsSync("__asyncJournal.wal"), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync("__asyncJournal.json", "utf-8")), { count: 2 });
+  asyncJournalDb.destroy();
+
+  const historyDb = new AlisaDB("__history.json", { cache: true, history: true });
+  historyDb.setMany({ coins: 100, level: 1 });
+  historyDb.add("coins", 50);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const beforeReset = new Date();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  historyDb.set("level", 2);
+  historyDb.reset();
+  assert.deepStrictEqual(historyDb.restoreTo(beforeReset), { coins: 150, level: 1 });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync("__history.json", "utf-8")), { coins: 150, level: 1 });
+  assert.deepStrictEqual(historyDb.history("coins").map(({ op, value, exists }) => [op, value, exists]), [["restoreTo", 150, true], ["reset", undefined, false], ["add", 150, true], ["setMany", 100, true]]);
+  assert.deepStrictEqual(new AlisaDB("__history.json", { history: true }).restoreTo(Date.now()), { coins: 150, level: 1 });
+  assert.throws(() => historyDb.restoreTo(0), { code: 4 });
+  assert.throws(() => new AlisaDB("__history.json").history("coins"), { code: 5 });
+  historyDb.destroy();
+  assert.strictEqual(fs.existsSync("__history.history"), false);
+}
+
+asyncTests().then(() => {
+  // Final cleanup
+  db.destroy();
+  console.log("\n✅ All tests passed successfully!");
+});
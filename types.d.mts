@@ -1,7 +1,93 @@
 export interface Options {
     spaces?: number;
-    autoWrite?: boolean;
+    autoWrite?: boolean | { interval?: number; operations?: number };
     cache?: boolean;
+    journal?: boolean;
+    journalSize?: number;
+    lock?: boolean;
+    lockTimeout?: number;
+    watch?: boolean;
+    watchInterval?: number;
+    flushOnExit?: boolean;
+    ttlInterval?: number;
+    storage?: "file" | "memory";
+    adapter?: StorageAdapter;
+    encryption?: { key: string | Buffer };
+    compression?: "gzip" | "brotli" | null;
+    checksum?: boolean;
+    backup?: BackupOptions;
+    history?: boolean;
+  }
+
+  export interface BackupOptions {
+    directory?: string;
+    keep?: number;
+    daily?: number;
+    weekly?: number;
+    interval?: number;
+  }
+
+  export interface HistoryValue {
+    date: Date;
+    op: string;
+    value: any;
+    exists: boolean;
+  }
+
+  export interface Backup {
+    id: string;
+    fileName: string;
+    date: Date;
+    filePath: string;
+  }
+
+  export interface StorageAdapter {
+    /** Reads the file as UTF-8 text */
+    read(filePath: string): string;
+    /** Compressed files are given as a Buffer and their bytes must be kept as they are */
+    write(filePath: string, data: string | Buffer): void;
+    exists(filePath: string): boolean;
+    remove(filePath: string): void;
+    list(directory?: string): string[];
+    append?(filePath: string, data: string): void;
+    /** Reads the file as bytes, it is needed to read compressed files */
+    readBuffer?(filePath: string): Buffer;
+    readAsync?(filePath: string): Promise<string>;
+    readBufferAsync?(filePath: string): Promise<Buffer>;
+    writeAsync?(filePath: string, data: string | Buffer): Promise<void>;
+    appendAsync?(filePath: string, data: string): Promise<void>;
+    removeAsync?(filePath: string): Promise<void>;
+  }
+
+  export class FileSystemAdapter implements StorageAdapter {
+    read(filePath: string): string;
+    readAsync(filePath: string): Promise<string>;
+    readBuffer(filePath: string): Buffer;
+    readBufferAsync(filePath: string): Promise<Buffer>;
+    write(filePath: string, data: string | Buffer): void;
+    writeAsync(filePath: string, data: string | Buffer): Promise<void>;
+    append(filePath: string, data: string): void;
+    appendAsync(filePath: string, data: string): Promise<void>;
+    exists(filePath: string): boolean;
+    remove(filePath: string): void;
+    removeAsync(filePath: string): Promise<void>;
+    list(directory?: string): string[];
+  }
+
+  export class MemoryAdapter implements StorageAdapter {
+    constructor(files?: Record<string, string | Buffer>);
+    read(filePath: string): string;
+    readBuffer(filePath: string): Buffer;
+    write(filePath: string, data: string | Buffer): void;
+    append(filePath: string, data: string): void;
+    exists(filePath: string): boolean;
+    remove(filePath: string): void;
+    list(directory?: string): string[];
+  }
+
+  export interface SetOptions {
+    ttl?: number;
+    fileName?: string;
   }
   
   export interface FileEventPayload {
@@ -10,75 +96,206 @@ export interface Options {
     [key: string]: any;
   }
   
+  export interface WriteReport {
+    written: string[];
+    skipped: string[];
+  }
+  
+  export type QueryOperators = {
+    $eq?: any;
+    $ne?: any;
+    $gt?: any;
+    $gte?: any;
+    $lt?: any;
+    $lte?: any;
+    $in?: any[];
+    $nin?: any[];
+    $exists?: boolean;
+    $regex?: string | RegExp;
+    $not?: QueryOperators | any;
+  };
+  
+  export type Query = {
+    $and?: Query[];
+    $or?: Query[];
+    $not?: Query;
+    [path: string]: QueryOperators | any;
+  };
+  
+  export type SortOrder = 1 | -1 | "asc" | "desc";
+  
+  export type QueryCallback = (key: string, value: any, index: number, entries: [string, any][]) => boolean;
+  
+  export interface SelectOptions {
+    where?: QueryCallback | Query | (QueryCallback | Query)[];
+    sort?: Record<string, SortOrder>;
+    skip?: number;
+    limit?: number;
+    fields?: string[];
+  }
+  
+  export interface SelectResult {
+    total: number;
+    results: { key: string; value: any }[];
+  }
+  
+  export class QueryBuilder {
+    where(query: QueryCallback | Query): this;
+    sort(path: string, order?: SortOrder): this;
+    skip(number: number): this;
+    limit(number: number): this;
+    fields(...fields: (string | string[])[]): this;
+    run(): SelectResult;
+  }
+  
   export interface Listener<T = any> {
     (payload: T): void;
   }
   
   export type EventPayloads = {
     getFile: FileEventPayload & { fromCache: boolean; saveCache: boolean; fromFile: boolean };
-    writeFile: FileEventPayload;
+    writeFile: FileEventPayload & { operations?: number };
     writeCache: FileEventPayload;
+    journal: FileEventPayload & { entry: { op: string; set: Record<string, any>; delete: string[] } };
+    checkpoint: FileEventPayload & { journalSize: number };
+    replay: FileEventPayload & { entries: number };
+    shutdown: FileEventPayload & { reason: "beforeExit" | "exit" | "SIGINT" | "SIGTERM" | "uncaughtExceptionMonitor"; files: string[]; error?: Error };
+    close: FileEventPayload;
+    reload: FileEventPayload & { added: string[]; removed: string[]; changed: string[] };
+    reloadError: FileEventPayload & { error: Error; attempt: number };
+    corrupt: FileEventPayload & { filePath: string; error: Error; backup: string | null };
+    backupError: { fileName: string; error: Error };
+    commit: FileEventPayload & { files: string[] };
+    rollback: FileEventPayload & { error: any; events: number };
 
-    get: FileEventPayload & { key: string; isFound: boolean; rawData: any; value: any };
+    get: FileEventPayload & { key: string; rootKey: string; isFound: boolean; rawData: any; value: any };
     getMany: FileEventPayload & { keys: string[]; rawData: Record<string, any>; isFound: boolean; result: any };
     getAll: FileEventPayload & { data: Record<string, any> };
     getFromValue: FileEventPayload & { value: any; rawData: [string, any] | undefined; values?: any };
+    getAllFromValue: FileEventPayload & { value: any; rawData: [string, any][]; keys: string[] };
     getManyFromValue: FileEventPayload & { values: any[]; rawData: string[]; result: any };
-    has: FileEventPayload & { key: string; result: boolean };
+    has: FileEventPayload & { key: string; rootKey: string; result: boolean };
     hasAny: FileEventPayload & { keys: string[]; result: boolean; foundedKey?: string };
     hasAll: FileEventPayload & { keys: string[]; result: boolean };
     hasValue: FileEventPayload & { value: any; result: boolean };
     hasAnyValue: FileEventPayload & { values: any[]; result: boolean };
     hasAllValue: FileEventPayload & { values: any[]; result: boolean };
-    set: FileEventPayload & { key: string; value: any };
+    set: FileEventPayload & { key: string; rootKey: string; value: any; ttl?: number };
     setMany: FileEventPayload & { items: Record<string, any> };
     setFile: FileEventPayload & { input: Record<string, any> };
+    ttl: FileEventPayload & { key: string; rootKey: string; result: number };
+    persist: FileEventPayload & { key: string; result: boolean };
+    expire: FileEventPayload & { key: string; rootKey: string; value: any };
+    expireError: { fileName: string; error: Error };
 
     find: FileEventPayload & { key?: string; value?: any; isFound: boolean };
     filter: FileEventPayload & { result: Record<string, any> };
+    select: FileEventPayload & { options: SelectOptions; total: number; results: SelectResult["results"] };
+    count: FileEventPayload & { where?: QueryCallback | Query; result: number };
+    sum: FileEventPayload & { path: string; where?: QueryCallback | Query; result: number };
+    avg: FileEventPayload & { path: string; where?: QueryCallback | Query; result: number | undefined };
+    min: FileEventPayload & { path: string; where?: QueryCallback | Query; result: string | undefined; value: number | undefined };
+    max: FileEventPayload & { path: string; where?: QueryCallback | Query; result: string | undefined; value: number | undefined };
+    distinct: FileEventPayload & { path: string; where?: QueryCallback | Query; result: any[] };
+    groupBy: FileEventPayload & { path: string; where?: QueryCallback | Query; result: Record<string, Record<string, any>> };
+    createIndex: FileEventPayload & { path: string; unique: boolean };
+    dropIndex: FileEventPayload & { path: string };
     some: FileEventPayload & { result: boolean };
     forEach: FileEventPayload;
     every: FileEventPayload & { result: boolean };
     findAndDelete: FileEventPayload & { key?: string; value?: any; isFound: boolean };
     filterAndDelete: FileEventPayload & { limit: number; result: any[] };
 
-    delete: FileEventPayload & { key: string; value?: any; isFound: boolean };
+    delete: FileEventPayload & { key: string; rootKey: string; value?: any; isFound: boolean };
     deleteMany: FileEventPayload & { keys: string[]; result: any[] };
     deleteAll: FileEventPayload & { beforeFile: Record<string, any> };
 
-    push: FileEventPayload & { key: string; item: any; result: any[] };
-    pushAll: FileEventPayload & { key: string; values: any[]; result: any[] };
-    pop: FileEventPayload & { key: string; number: number; deletedValues: any[]; result: any[] };
-    unshift: FileEventPayload & { key: string; item: any; result: any[] };
-    unshiftAll: FileEventPayload & { key: string; values: any[]; result: any[] };
-    shift: FileEventPayload & { key: string; number: number; deletedValues: any[]; result: any[] };
-
-    add: FileEventPayload & { key: string; number: number; result: number };
-    substr: FileEventPayload & { key: string; number: number; result: number };
-    multi: FileEventPayload & { key: string; number: number; result: number };
-    division: FileEventPayload & { key: string; number: number; result: number };
+    push: FileEventPayload & { key: string; rootKey: string; item: any; result: any[] };
+    pushAll: FileEventPayload & { key: string; rootKey: string; values: any[]; result: any[] };
+    pop: FileEventPayload & { key: string; rootKey: string; number: number; deletedValues: any[]; result: any[] };
+    unshift: FileEventPayload & { key: string; rootKey: string; item: any; result: any[] };
+    unshiftAll: FileEventPayload & { key: string; rootKey: string; values: any[]; result: any[] };
+    shift: FileEventPayload & { key: string; rootKey: string; number: number; deletedValues: any[]; result: any[] };
+
+    add: FileEventPayload & { key: string; rootKey: string; number: number; result: number };
+    substr: FileEventPayload & { key: string; rootKey: string; number: number; result: number };
+    multi: FileEventPayload & { key: string; rootKey: string; number: number; result: number };
+    division: FileEventPayload & { key: string; rootKey: string; number: number; result: number };
     
     destroy: FileEventPayload;
     reset: FileEventPayload & { afterReset: Record<string, any> };
     create: FileEventPayload & { isDefaultFile: boolean };
     clone: FileEventPayload & { cloneFileName: string };
+    saveToDisk: FileEventPayload & { filePath: string };
+    rekey: FileEventPayload & { files: string[]; encrypted: boolean };
+    migrateCompression: FileEventPayload & { files: string[]; compression: "gzip" | "brotli" | null };
+    backup: FileEventPayload & { id: string; filePath: string; removed: string[] };
+    restore: FileEventPayload & { backupId: string; filePath: string };
+    restoreTo: FileEventPayload & { date: Date };
+    history: FileEventPayload & { key: string; values: HistoryValue[] };
+    export: FileEventPayload & { format: ExportFormat; result: string };
+    import: FileEventPayload & { format: ExportFormat; mode: "merge" | "replace"; items: Record<string, any> };
     [event: string]: any;
   };
   
+  /** Every public method except transaction, query, on, off and emit */
+  export type AsyncMethods =
+    "keys" | "values" | "writeAll" | "checkpoint" | "flush" | "isDirty" | "dirtyFiles" | "close" |
+    "set" | "setMany" | "setFile" | "expire" | "ttl" | "persist" |
+    "get" | "getMany" | "getAll" | "getFromValue" | "getAllFromValue" | "getManyFromValue" |
+    "has" | "hasAny" | "hasAll" | "hasValue" | "hasAnyValue" | "hasAllValue" |
+    "createIndex" | "dropIndex" |
+    "find" | "filter" | "select" | "count" | "sum" | "avg" | "min" | "max" | "distinct" | "groupBy" | "includes" | "startsWith" | "some" | "forEach" | "every" | "findAndDelete" | "filterAndDelete" |
+    "delete" | "deleteMany" | "deleteAll" |
+    "push" | "pushAll" | "pop" | "unshift" | "unshiftAll" | "shift" |
+    "add" | "substr" | "multi" | "division" |
+    "toJSON" | "toArray" | "export" | "import" | "destroy" | "reset" | "create" | "clone" | "saveToDisk" | "rekey" | "migrateCompression" | "backup" | "listBackups" | "restore" | "restoreTo" | "history" | "typeof";
+
+  export interface TypeOptions<T = any> {
+    serialize?: (value: T) => any;
+    deserialize?: (data: any) => T;
+  }
+
+  export type ExportFormat = "yaml" | "ndjson" | "csv";
+
+  export interface ImportOptions {
+    mode?: "merge" | "replace";
+    delimiter?: string;
+    fileName?: string;
+  }
+
+  export type AsyncDatabase = {
+    [K in AsyncMethods]: (...args: Parameters<Database[K]>) => Promise<ReturnType<Database[K]>>;
+  };
+  
   export default class Database {
     constructor(fileName?: string, options?: Options);
     version: string;
+    readonly async: AsyncDatabase;
+    static FileSystemAdapter: typeof FileSystemAdapter;
+    static MemoryAdapter: typeof MemoryAdapter;
+    static registerType<T>(name: string, Class: abstract new (...args: any[]) => T, options?: TypeOptions<T>): boolean;
   
     keys(fileName?: string): string[];
     values(fileName?: string): any[];
-    writeAll(fileName?: string | string[]): boolean;
+    writeAll(fileName?: string | string[], force?: boolean): WriteReport | false;
+    isDirty(fileName?: string): boolean;
+    dirtyFiles(): string[];
+    close(): boolean;
+    checkpoint(fileName?: string): boolean;
+    flush(fileName?: string): boolean;
+    transaction<T>(callback: (tx: Database) => T): T;
   
-    set(key: string, value: any, fileName?: string): Record<string, any>;
+    set(key: string, value: any, fileName?: string | SetOptions): Record<string, any>;
     setMany(data: Record<string, any> | [string, any][], fileName?: string): Record<string, any>;
     setFile(data: Record<string, any>, fileName?: string): Record<string, any>;
+    expire(key: string, ms: number, fileName?: string): boolean;
+    ttl(key: string, fileName?: string): number;
+    persist(key: string, fileName?: string): boolean;
   
     get(key: string, defaultValue?: any, fileName?: string): any;
     getFromValue(value: any, defaultValue?: any, fileName?: string): string | undefined;
+    getAllFromValue(value: any, fileName?: string): string[];
     getManyFromValue(values: any[], defaultValue?: any, fileName?: string): any;
     getMany(keys: string[], defaultValue?: any, fileName?: string): any;
     getAll(fileName?: string): Record<string, any>;
@@ -87,6 +304,7 @@ export interface Options {
     hasValue(value: any, fileName?: string): boolean;
     hasAnyValue(values: any[], fileName?: string): boolean;
     hasEveryValue(values: any[], fileName?: string): boolean;
+    hasAllValue(values: any[], fileName?: string): boolean;
     hasAny(keys: string[], fileName?: string): boolean;
     hasAll(keys: string[], fileName?: string): boolean;
   
@@ -94,15 +312,26 @@ export interface Options {
     off<K extends keyof EventPayloads>(event: K, listener: Listener<EventPayloads[K]>): this;
     emit<K extends keyof EventPayloads>(event: K, payload: EventPayloads[K]): this;
   
-    find(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, fileName?: string): any;
-    filter(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, fileName?: string): Record<string, any>;
+    find(callback: ((key: string, value: any, index: number, entries: [string, any][]) => boolean) | Query, fileName?: string): any;
+    filter(callback: ((key: string, value: any, index: number, entries: [string, any][]) => boolean) | Query, fileName?: string): Record<string, any>;
+    select(options?: SelectOptions, fileName?: string): SelectResult;
+    query(fileName?: string): QueryBuilder;
+    createIndex(path: string, options?: { unique?: boolean; fileName?: string }): boolean;
+    dropIndex(path: string, fileName?: string): boolean;
+    count(where?: QueryCallback | Query, fileName?: string): number;
+    sum(path: string, where?: QueryCallback | Query, fileName?: string): number;
+    avg(path: string, where?: QueryCallback | Query, fileName?: string): number | undefined;
+    min(path: string, where?: QueryCallback | Query, fileName?: string): string | undefined;
+    max(path: string, where?: QueryCallback | Query, fileName?: string): string | undefined;
+    distinct(path: string, where?: QueryCallback | Query, fileName?: string): any[];
+    groupBy(path: string, where?: QueryCallback | Query, fileName?: string): Record<string, Record<string, any>>;
     includes(key: string, fileName?: string): Record<string, any>[];
     startsWith(key: string, fileName?: string): Record<string, any>[];
     some(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, fileName?: string): boolean;
     forEach(callback: (key: string, value: any, index: number, entries: [string, any][]) => void, fileName?: string): void;
     every(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, fileName?: string): boolean;
     findAndDelete(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, fileName?: string): any;
-    filterAndDelete(callback: (key: string, value: any, index: number, entries: [string, any][]) => boolean, limit?: number, fileName?: string): any[];
+    filterAndDelete(callback: ((key: string, value: any, index: number, entries: [string, any][]) => boolean) | Query, limit?: number, fileName?: string): any[];
   
     delete(key: string, fileName?: string): any;
     deleteMany(keys: string[], fileName?: string): any[];
@@ -122,11 +351,21 @@ export interface Options {
   
     toJSON(fileName?: string): Record<string, any>;
     toArray(fileName?: string): [string, any][];
+    export(format: ExportFormat, fileName?: string, options?: { delimiter?: string }): string;
+    import(format: ExportFormat, data: string | Buffer, options?: ImportOptions): Record<string, any>;
   
     destroy(fileName?: string): boolean;
     reset(fileName?: string): Record<string, any>;
     create(fileName: string, file?: Record<string, any>, isDefaultFile?: boolean): Record<string, any>;
     clone(cloneFileName: string, fileName?: string): Record<string, any>;
+    saveToDisk(filePath?: string, fileName?: string): string;
+    rekey(newKey: string | Buffer | null, fileNames?: string[]): string[];
+    migrateCompression(fileNames?: string[]): string[];
+    backup(fileName?: string): string;
+    listBackups(fileName?: string): Backup[];
+    restore(backupId: string, fileName?: string): Record<string, any>;
+    restoreTo(date: Date | number | string, fileName?: string): Record<string, any>;
+    history(key: string, fileName?: string): HistoryValue[];
   
     typeof(key: string, fileName?: string): string;
   }
\ No newline at end of file